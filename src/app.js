@@ -0,0 +1,1231 @@
+/**
+ * Embeddable dice table for Neon Dice 2000
+ *
+ * mount() builds a complete table - canvas, loading screen and controls -
+ * inside any container element. Each table has its own scene, physics world,
+ * loop, sounds, texture caches and copy of the settings, so several can run
+ * on one page.
+ */
+
+import { log, error } from './utils/debug.js';
+import { loadLibraries, createScene, createLoadingScreen, updateCamera, updateLights } from './utils/loader.js';
+import { createEmitter } from './utils/events.js';
+import { createDice } from './physics/dice.js';
+import { createLocalPhysics } from './physics/local.js';
+import { createPhysicsWorker } from './physics/remote.js';
+import { createSettleDetector } from './physics/settle.js';
+import { createFixedStepLoop } from './physics/loop.js';
+import { parseNotation, evaluateNotation } from './utils/notation.js';
+import { buildDicePool, collectGroupValues, splitTargetValues } from './utils/pool.js';
+import { createRandom, generateSeed } from './utils/random.js';
+import { createThrow, applyThrow } from './physics/throw.js';
+import { forceOutcome } from './physics/predict.js';
+import { createDragThrow } from './input/drag.js';
+import { createGrabControl } from './input/grab.js';
+import { createCollisionSounds } from './audio/sounds.js';
+import { createFloor, redrawFloor } from './graphics/floor.js';
+import { loadTheme, getThemeDefaults } from './graphics/themes.js';
+import { PROFILES, getProfileValues } from './physics/profiles.js';
+import { createQualityManager } from './graphics/quality.js';
+import { createTextureCache } from './graphics/textures.js';
+import { createRollRecorder, serializeRecording, parseRecording } from './replay/recording.js';
+import { createReplayPlayer } from './replay/player.js';
+import { createRollLink, encodeRollLink, decodeRollLink, compareLinkSettings } from './replay/link.js';
+import { copyConfig, flattenSettings, applySettings, getSetting, SIMULATION_SETTINGS } from './utils/settings.js';
+import { validateSetting, checkCombinedSettings } from './utils/schema.js';
+import { STORAGE_KEY } from './utils/overrides.js';
+import { createMultiplayerSession } from './multiplayer/session.js';
+import { createRoomPanel } from './multiplayer/panel.js';
+import { createSettingsPanel } from './settings/panel.js';
+
+// Markup of a table; elements are found by class so tables never clash
+const TEMPLATE = `
+  <div class="loading">
+    <div class="loading-title">NEON DICE 2000</div>
+    <div class="progress-container">
+      <div class="progress-bar">
+        <div class="progress-fill"></div>
+      </div>
+      <div class="progress-text">Loading...</div>
+    </div>
+  </div>
+  <form class="roll-form" autocomplete="off">
+    <input class="notation-input" type="text" spellcheck="false" aria-label="Dice notation" placeholder="e.g. 4d6kh3+2">
+    <button type="submit">ROLL</button>
+    <div class="roll-result"></div>
+  </form>
+  <div class="controls">
+    <select class="quality-select" aria-label="Rendering quality">
+      <option value="auto">AUTO</option>
+      <option value="low">LOW</option>
+      <option value="medium">MEDIUM</option>
+      <option value="high">HIGH</option>
+    </select>
+    <button class="mute-button" type="button">SOUND ON</button>
+    <input class="volume-slider" type="range" min="0" max="1" step="0.05" aria-label="Volume">
+    <button class="replay-button" type="button" disabled>REPLAY</button>
+    <button class="share-button" type="button" disabled>SHARE</button>
+    <button class="settings-button" type="button">SETTINGS</button>
+  </div>
+  <div class="settings" hidden></div>
+  <div class="replay-bar" hidden>
+    <button class="replay-play" type="button">PAUSE</button>
+    <input class="replay-scrub" type="range" min="0" max="0" step="1" value="0" aria-label="Replay position">
+    <span class="replay-time"></span>
+    <select class="replay-speed" aria-label="Replay speed"></select>
+    <button class="replay-save" type="button">SAVE</button>
+    <button class="replay-close" type="button">CLOSE</button>
+  </div>
+  <div class="room" hidden>
+    <div class="room-status"></div>
+    <ol class="room-history"></ol>
+  </div>
+  <div class="instructions">Drag and release to throw the dice, tap for a random throw, grab a die and shake it, or tap a die to hold it</div>
+`;
+
+/**
+ * Mount a dice table in a container
+ *
+ * The table fills the container and follows its size. Loading happens in the
+ * background; roll() and setDice() wait for it, the other methods throw until
+ * the table is ready.
+ * @param {HTMLElement} container - Element the table is added to
+ * @param {Object} [options] - Table options
+ * @param {string} [options.notation] - Dice on the table at the start (default DICE_POOL.defaultNotation)
+ * @param {boolean} [options.controls=true] - Show the notation field and the sound, quality and replay controls
+ * @param {boolean} [options.autoRoll=true] - Throw the starting dice once loaded
+ * @param {boolean} [options.worker] - Step physics in a Web Worker (default PHYSICS.worker)
+ * @param {Object} [options.multiplayer] - Share the table: { room, url, player } (see multiplayer/session.js)
+ * @param {Promise} [options.config] - Config being loaded (see utils/overrides.js); the table waits for it,
+ *   shows its errors and then works on its own copy of the config
+ * @returns {Object} - Table controller with roll, setDice, hold, on, off, destroy and more
+ *   (see README); ready is a promise for the loaded table
+ */
+export function mount(container, options = {}) {
+  const emitter = createEmitter();
+  
+  const root = document.createElement('div');
+  root.className = 'neon-dice';
+  root.classList.toggle('no-controls', options.controls === false);
+  root.innerHTML = TEMPLATE;
+  container.appendChild(root);
+  
+  let table = null;
+  let session = null;
+  let roomPanel = null;
+  let settingsPanel = null;
+  let destroyed = false;
+  
+  const ready = createTable(root, emitter, options).then(created => {
+    if (destroyed) {
+      created.dispose();
+      throw new Error('The table was destroyed while loading');
+    }
+    
+    table = created;
+    if (options.multiplayer) {
+      session = createMultiplayerSession(controller, { ...options.multiplayer, config: created.config });
+      roomPanel = createRoomPanel(root.querySelector('.room'), session, options.multiplayer.room);
+    }
+    if (options.controls !== false) {
+      settingsPanel = createSettingsPanel(root.querySelector('.settings'), root.querySelector('.settings-button'), controller);
+    }
+    emitter.emit('ready', controller);
+    return controller;
+  }, err => {
+    emitter.emit('error', err);
+    throw err;
+  });
+  
+  // Failures are shown on the loading screen and through the error event
+  ready.catch(() => {});
+  
+  /**
+   * Get the loaded table
+   * @returns {Object} - Table API
+   */
+  function requireTable() {
+    if (!table) {
+      throw new Error(destroyed ? 'The table has been destroyed' : 'The table is still loading');
+    }
+    return table;
+  }
+  
+  const controller = {
+    // Resolves with this controller once the table is ready
+    ready,
+    
+    /**
+     * Roll an expression in dice notation with physical dice
+     * @param {string} notation - Dice notation, e.g. "4d6kh3+2"
+     * @param {Object} [rollOptions] - seed, algorithm, values and gesture (see README)
+     * @returns {Promise<Object>} - Resolves with the rollcomplete details
+     */
+    roll: (notation, rollOptions) => ready.then(() => requireTable().roll(notation, rollOptions)),
+    
+    /**
+     * Put dice on the table without throwing them
+     * @param {string} notation - Dice notation, e.g. "2d20"
+     * @returns {Promise<void>} - Resolves once the dice are on the table
+     */
+    setDice: notation => ready.then(() => requireTable().setDice(notation)),
+    
+    hold: (index, held) => requireTable().hold(index, held),
+    setVolume: value => requireTable().setVolume(value),
+    setMuted: value => requireTable().setMuted(value),
+    setQuality: name => requireTable().setQuality(name),
+    replay: (recording, replayOptions) => requireTable().replay(recording, replayOptions),
+    
+    /**
+     * Get a link that throws the last roll again
+     * @returns {string} - Page URL with the roll in its hash
+     */
+    share: () => requireTable().share(),
+    
+    /**
+     * Throw the roll of a link and check that it lands as it did
+     * @param {string} link - URL or hash containing "#roll="
+     * @returns {Promise<Object>} - Resolves with { detail, reproduced, problems }
+     */
+    openLink: link => ready.then(() => requireTable().openLink(link)),
+    stopReplay: () => requireTable().stopReplay(),
+    getRecording: () => requireTable().getRecording(),
+    
+    /**
+     * Change settings of this table and show them; physics settings apply
+     * from the next roll. config.js and other tables are left alone.
+     * @param {Object} values - New values by path, e.g. { 'PHYSICS.dice.size': 2 }
+     */
+    updateSettings: values => requireTable().updateSettings(values),
+    
+    /**
+     * Read a setting of this table
+     * @param {string} path - Dotted setting path, e.g. "PHYSICS.dice.size"
+     * @returns {*} - Current value
+     */
+    getSetting: path => requireTable().getSetting(path),
+    
+    /**
+     * Switch to another theme
+     * @param {string} name - Theme name or URL; "" for the default look
+     * @returns {Promise<string>} - Resolves with the theme's title once it shows
+     */
+    setTheme: name => ready.then(() => requireTable().setTheme(name)),
+    
+    /**
+     * Switch to another physics profile; it applies from the next roll
+     * @param {string} name - Profile name (see physics/profiles.js); "" for the default physics
+     * @returns {Promise<string>} - Resolves with the profile's title
+     */
+    setProfile: name => ready.then(() => requireTable().setProfile(name)),
+    
+    /**
+     * Get the shared table session started by the multiplayer option
+     * @returns {Object|null} - Session, or null when not shared (or still loading)
+     */
+    getSession: () => session,
+    
+    /**
+     * Listen for table events: "ready", "error", "rollcomplete", "share" and "settings"
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event's details
+     * @returns {Function} - Stops listening
+     */
+    on: (event, handler) => emitter.on(event, handler),
+    
+    /**
+     * Stop listening for a table event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on
+     */
+    off: (event, handler) => emitter.off(event, handler),
+    
+    /**
+     * Remove the table from the page and free everything it uses
+     */
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      
+      if (settingsPanel) {
+        settingsPanel.dispose();
+        settingsPanel = null;
+      }
+      if (session) {
+        roomPanel.dispose();
+        session.dispose();
+        session = null;
+      }
+      if (table) {
+        table.dispose();
+        table = null;
+      }
+      emitter.clear();
+      root.remove();
+    }
+  };
+  
+  return controller;
+}
+
+/**
+ * Load the libraries and build a table inside its root element
+ * @param {HTMLElement} root - Table root element filled from TEMPLATE
+ * @param {Object} emitter - Emitter for the table's events
+ * @param {Object} options - Table options passed to mount
+ * @returns {Promise<Object>} - Table API used by the controller
+ */
+async function createTable(root, emitter, options) {
+  const loading = createLoadingScreen(root.querySelector('.loading'));
+  
+  // Wait for the config overrides, which must not change under a running table
+  if (options.config) {
+    try {
+      loading.progress(2, 'Reading configuration...');
+      await options.config;
+    } catch (err) {
+      error('Invalid configuration', err);
+      loading.showError(
+        'Configuration Error',
+        err.problems ? err.problems.join('\n') : err.message,
+        `Fix these values in config.json, the URL or the saved settings (localStorage "${STORAGE_KEY}") and reload the page.`
+      );
+      throw err;
+    }
+  }
+  
+  // Settings of this table, changed by updateSettings, themes, profiles and
+  // links without touching config.js or the other tables on the page
+  const config = copyConfig();
+  const { DICE_COLORS, DICE_POOL, PHYSICS, REPLAY } = config;
+  
+  // Load dependencies (Three.js and Rapier)
+  let THREE;
+  let RAPIER;
+  try {
+    loading.progress(5, 'Loading 3D renderer and physics engine...');
+    ({ THREE, RAPIER } = await loadLibraries());
+  } catch (err) {
+    error('Failed to load dependencies', err);
+    
+    let errorMessage = 'Could not load required libraries.';
+    if (err.message.includes('Three.js')) {
+      errorMessage = 'Failed to load 3D rendering engine (Three.js).';
+    } else if (err.message.includes('Rapier')) {
+      errorMessage = 'Failed to load physics engine (Rapier).';
+    }
+    
+    loading.showError('Loading Error', errorMessage, 'Please check your internet connection and try refreshing the page.');
+    throw err;
+  }
+  
+  try {
+    loading.progress(25, 'Setting up 3D scene...');
+    const { scene, camera, renderer, lights } = createScene(THREE, root, config);
+    
+    // Track loading progress
+    loading.progress(30, 'Setting up physics world...');
+    
+    // Setup physics, in a worker when possible (the world is rebuilt for every
+    // roll, see setupTable)
+    const physicsOptions = {
+      onBeforeState: () => dice.forEach(die => die.storePreviousState()),
+      onImpact: (kind, force, key) => sounds.playImpact(kind, force, key),
+      
+      // Record the new state for replays, and make sure the last state
+      // streamed back by a worker gets drawn
+      onState: () => {
+        recorder.capture(simulationTime);
+        loop.wake();
+      },
+      
+      config
+    };
+    let physics = null;
+    
+    if (options.worker ?? PHYSICS.worker) {
+      try {
+        physics = await createPhysicsWorker(physicsOptions);
+      } catch (err) {
+        error('Physics worker unavailable, stepping physics on the main thread', err);
+      }
+    }
+    if (!physics) {
+      physics = createLocalPhysics(RAPIER, physicsOptions);
+    }
+    log(`Physics running on the ${physics.mode === 'worker' ? 'worker' : 'main'} thread`);
+    
+    // Track loading progress
+    loading.progress(50, 'Creating environment...');
+    
+    // Textures are cached per table, so tables never free each other's
+    const textureCache = createTextureCache();
+    
+    // Create floor
+    const floor = createFloor(THREE, scene, renderer, textureCache, config);
+    
+    // Track loading progress
+    loading.progress(70, 'Creating dice...');
+    
+    // Dice currently on the table and the roll waiting for them to settle
+    let dice = [];
+    let pendingRoll = null;
+    
+    // Die size and floor height the dice on the table were built with
+    let builtWith = null;
+    
+    // Notation of the dice on the table, reused when a die is thrown by hand
+    let lastRoll = null;
+    
+    // Simulated time (ms); rolls are timed in physics steps, not wall-clock time
+    let simulationTime = 0;
+    
+    // Every roll is recorded until it settles; the last recording can be replayed
+    const recorder = createRollRecorder(config);
+    let lastRecording = null;
+    let replay = null;
+    
+    // Last settled roll and the simulation settings it was thrown with, for links
+    let lastSettled = null;
+    
+    // Rendering quality, adapted to the frame times measured by the loop
+    const quality = createQualityManager({
+      THREE,
+      renderer,
+      scene,
+      floor,
+      getDice: () => (replay ? dice.concat(replay.dice) : dice),
+      onChange: () => {
+        updateQualityControl();
+        loop.wake();
+      },
+      config
+    });
+    
+    /**
+     * Put a fresh set of dice in a fresh physics world
+     *
+     * Starting every roll from a newly built world (instead of teleporting the
+     * previous bodies) means no contact caches or body ordering carry over,
+     * so the same seed always replays the same throw. Held dice are put back
+     * where they were, showing the same value.
+     * @param {Array<string>} types - Dice types in throw order
+     * @param {Array<Object|null>} [kept] - State of each held die (see getState), null for the others
+     */
+    function setupTable(types, kept = []) {
+      grab.cancel();
+      dice.forEach(die => die.dispose());
+      
+      const bodies = physics.reset(types);
+      dice = types.map((type, index) =>
+        createDice(THREE, RAPIER, scene, null, DICE_COLORS[index % DICE_COLORS.length], {
+          type,
+          body: bodies[index],
+          textureCache,
+          config
+        })
+      );
+      quality.applyToDice(dice);
+      builtWith = { size: PHYSICS.dice.size, floorTop: PHYSICS.floorSize.y };
+      
+      kept.forEach((state, index) => {
+        if (!state) return;
+        
+        const die = dice[index];
+        const { position, rotation, value } = state;
+        die.reset(position.x, position.y, position.z, rotation);
+        die.remapFace(die.getUpFaceIndex(rotation), value);
+        die.setHeld(true);
+        die.update();
+      });
+    }
+    
+    /**
+     * Hold a die in place between rolls, or let it roll again
+     * @param {number} index - Index of the die in notation order
+     * @param {boolean} [held] - New state; toggles when omitted
+     * @returns {boolean} - Whether the die is now held
+     */
+    function hold(index, held) {
+      const die = dice[index];
+      if (!die) {
+        throw new Error(`There is no die ${index} on the table`);
+      }
+      
+      die.setHeld(held ?? !die.isHeld());
+      loop.wake();
+      log(`Die ${index} ${die.isHeld() ? 'held' : 'released'}`);
+      return die.isHeld();
+    }
+    
+    /**
+     * Put dice on the table without throwing them
+     * @param {string} notation - Dice notation, e.g. "2d20"
+     */
+    function setDice(notation) {
+      const tree = parseNotation(notation);
+      const pool = buildDicePool(tree, DICE_POOL.maxDice);
+      
+      stopReplay();
+      interruptRoll('Roll interrupted by new dice');
+      settleDetector.cancel();
+      recorder.cancel();
+      
+      setupTable(pool.types);
+      lastRoll = { notation, tree, pool };
+      loop.wake();
+    }
+    
+    /**
+     * Reject the roll waiting to settle, if any
+     * @param {string} reason - Error message
+     */
+    function interruptRoll(reason) {
+      if (!pendingRoll) return;
+      
+      const interrupted = new Error(reason);
+      interrupted.name = 'RollInterruptedError';
+      pendingRoll.reject(interrupted);
+      pendingRoll = null;
+    }
+    
+    /**
+     * Change settings of this table and show them
+     *
+     * Camera, light and floor settings show straight away. Physics settings
+     * and dice colors apply from the next roll, as every roll builds a fresh
+     * world; dice lying still on the table are rebuilt at once so their size,
+     * colliders and colors match.
+     * @param {Object} values - New values by path (limits in utils/schema.js)
+     */
+    function updateSettings(values) {
+      // Check everything before changing anything
+      const checked = {};
+      Object.entries(values).forEach(([path, value]) => {
+        checked[path] = validateSetting(path, value);
+      });
+      const problems = checkCombinedSettings(path => (path in checked ? checked[path] : getSetting(path, config)));
+      if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+      }
+      
+      applySettings(checked, config);
+      const changed = prefix => Object.keys(checked).some(path => path.startsWith(prefix));
+      
+      if (changed('CAMERA.')) {
+        updateCamera(camera, config);
+      }
+      if (changed('LIGHTING.')) {
+        updateLights(lights, config);
+      }
+      if (changed('FLOOR.')) {
+        redrawFloor(THREE, renderer, floor);
+      }
+      const idle = !pendingRoll && !replay && !grab.isHolding() && dice.every(die => die.isAtRest());
+      if (idle && (changed('PHYSICS.') || changed('DICE_COLORS') || changed('HOLD.'))) {
+        // Face textures are cached by color; the old colors are not needed any more
+        if (changed('DICE_COLORS')) {
+          textureCache.remove(key => /^(face|label|d4)_/.test(key));
+        }
+        rebuildDice();
+      }
+      
+      loop.wake();
+      emitter.emit('settings', checked);
+    }
+    
+    /**
+     * Switch to another theme (see graphics/themes.js); settings the theme
+     * leaves out go back to their defaults, config.json and URL values included
+     * @param {string} name - Theme name or URL; an empty string goes back to the default look
+     * @returns {Promise<string>} - Resolves with the theme's title once it shows
+     */
+    async function setTheme(name) {
+      const theme = name ? await loadTheme(name) : { title: 'Default', values: {} };
+      updateSettings({ ...getThemeDefaults(), ...theme.values, 'THEME.name': name });
+      log(`Theme: ${theme.title}`);
+      return theme.title;
+    }
+    
+    /**
+     * Switch to another physics profile (see physics/profiles.js); settings
+     * the profile leaves out go back to their defaults, config.json and URL values included
+     * @param {string} name - Profile name; an empty string goes back to the default physics
+     * @returns {string} - The profile's title
+     */
+    function setProfile(name) {
+      updateSettings(getProfileValues(name));
+      const title = name ? PROFILES[name].name : 'Default';
+      log(`Physics profile: ${title}`);
+      return title;
+    }
+    
+    /**
+     * Build the dice on the table again where they lie, with the current
+     * physics settings; a die of another size keeps resting on the floor
+     */
+    function rebuildDice() {
+      const scale = PHYSICS.dice.size / builtWith.size;
+      const held = dice.map(die => die.isHeld());
+      const states = dice.map(die => {
+        const state = die.getState();
+        state.position.y = PHYSICS.floorSize.y + (state.position.y - builtWith.floorTop) * scale;
+        return state;
+      });
+      
+      setupTable(dice.map(die => die.type), states);
+      dice.forEach((die, index) => die.setHeld(held[index]));
+    }
+    
+    // Grab a die, shake it and let go to throw it by hand (registered before
+    // the drag gesture so presses on a die never start a throw)
+    const grab = createGrabControl({
+      THREE,
+      RAPIER,
+      camera,
+      element: renderer.domElement,
+      getDice: () => dice,
+      onGrab: () => {
+        settleDetector.cancel();
+        recorder.cancel();
+      },
+      onRelease: () => watchHandThrow(),
+      onTap: die => hold(dice.indexOf(die)),
+      config
+    });
+    
+    // Create the starting dice
+    const startNotation = options.notation || DICE_POOL.defaultNotation;
+    const startTree = parseNotation(startNotation);
+    lastRoll = { notation: startNotation, tree: startTree, pool: buildDicePool(startTree, DICE_POOL.maxDice) };
+    setupTable(lastRoll.pool.types);
+    
+    // Track loading progress
+    loading.progress(90, 'Finalizing setup...');
+    
+    // Report every finished roll as a single "rollcomplete" event
+    // (detail: { notation, seed, algorithm, gesture, predetermined, manual, dice: [{ index, type, held, value, confidence, tilt, status }],
+    //   groups, total, breakdown, valid, rerolls, duration, timedOut })
+    const settleDetector = createSettleDetector({
+      onReroll(indices) {
+        const { random, gesture, targets } = pendingRoll;
+        
+        // A held die that was already cocked stays as it is
+        const thrown = indices.filter(index => !dice[index].isHeld());
+        const rerolled = thrown.map(index => dice[index]);
+        
+        // Re-throws continue the roll's seeded sequence so they replay too
+        thrown.forEach(index => applyThrow(dice[index], createThrow(index, random, gesture, config)));
+        
+        if (targets) {
+          forceTargets(rerolled, thrown.map(index => targets[index]));
+        }
+      },
+      
+      onComplete(result) {
+        if (!pendingRoll) return;
+        
+        const { notation, tree, pool, random, gesture, predetermined, manual, profile, settings, resolve } = pendingRoll;
+        pendingRoll = null;
+        
+        const values = result.dice.map(die => die.value);
+        const evaluation = evaluateNotation(tree, collectGroupValues(pool, values));
+        const detail = {
+          ...result,
+          notation,
+          // A hand-thrown die cannot be replayed from a seed
+          seed: manual ? null : random.seed,
+          algorithm: random.algorithm,
+          gesture,
+          predetermined,
+          manual,
+          profile,
+          ...evaluation
+        };
+        
+        const warning = detail.valid ? '' : ' - cocked or off-table dice!';
+        const source = manual ? 'thrown by hand' : `seed ${detail.seed}`;
+        showRollResult(`${detail.breakdown}${warning} (${source})`);
+        
+        lastRecording = recorder.finish(detail);
+        replayButton.disabled = !lastRecording;
+        lastSettled = { detail, settings };
+        shareButton.disabled = false;
+        
+        emitter.emit('rollcomplete', detail);
+        resolve(detail);
+      },
+      
+      config
+    });
+    
+    /**
+     * Throw every die on the table that is not held
+     * @param {Function} random - Seeded generator driving every random input of the throw
+     * @param {Object} [gesture] - Drag gesture that drives the throw; random throw if omitted
+     */
+    function rollDice(random, gesture) {
+      dice.forEach((die, index) => {
+        if (!die.isHeld()) {
+          applyThrow(die, createThrow(index, random, gesture, config));
+        }
+      });
+      
+      // Watch the dice until they settle
+      settleDetector.start(dice, simulationTime);
+      startRecording();
+      loop.wake();
+    }
+    
+    /**
+     * Relabel the faces thrown dice will land on; if the prediction fails
+     * (e.g. the worker stopped), the roll goes on unforced
+     * @param {Array} thrown - Dice that were just thrown
+     * @param {Array<number>} values - Value each of them must show
+     */
+    function forceTargets(thrown, values) {
+      const forcing = pendingRoll;
+      forceOutcome(physics, thrown, values).catch(err => {
+        error('Could not force the roll outcome, rolling without it', err);
+        if (forcing && pendingRoll === forcing) {
+          forcing.predetermined = false;
+        }
+      });
+    }
+    
+    /**
+     * Roll an expression in dice notation with physical dice
+     * @param {string} notation - Dice notation, e.g. "4d6kh3+2"
+     * @param {Object} [rollOptions] - Roll options
+     * @param {number|string} [rollOptions.seed] - Seed to replay a throw; a fresh one is generated if omitted
+     * @param {string} [rollOptions.algorithm] - Registered random algorithm for the seed
+     * @param {Array<number>} [rollOptions.values] - Values the dice must land on, one per die in notation order
+     *   (entries for held dice are ignored)
+     * @param {Object} [rollOptions.gesture] - Drag gesture ({ origin, direction, speed }) driving the throw
+     * @returns {Promise<Object>} - Resolves with the rollcomplete details
+     */
+    function roll(notation, rollOptions = {}) {
+      return new Promise((resolve, reject) => {
+        const tree = parseNotation(notation);
+        const pool = buildDicePool(tree, DICE_POOL.maxDice);
+        const random = createRandom(rollOptions.seed ?? generateSeed(), rollOptions.algorithm);
+        const targets = rollOptions.values ? splitTargetValues(pool, rollOptions.values) : null;
+        
+        stopReplay();
+        
+        // A new throw replaces a roll that has not settled yet
+        interruptRoll('Roll interrupted by a new roll');
+        
+        // Held dice stay on the table as long as the same dice are rolled
+        const sameDice = pool.types.length === dice.length && pool.types.every((type, index) => dice[index].type === type);
+        const kept = sameDice ? dice.map(die => (die.isHeld() ? die.getState() : null)) : [];
+        
+        setupTable(pool.types, kept);
+        const { gesture } = rollOptions;
+        lastRoll = { notation, tree, pool };
+        pendingRoll = {
+          notation, tree, pool, random, gesture, targets,
+          predetermined: !!targets,
+          manual: false,
+          profile: PHYSICS.profile,
+          settings: flattenSettings(SIMULATION_SETTINGS, config),
+          resolve,
+          reject
+        };
+        rollDice(random, gesture);
+        
+        // Simulate the throw ahead of time and relabel the faces it lands on
+        if (targets) {
+          const thrown = dice.filter(die => !die.isHeld());
+          forceTargets(thrown, thrown.map(die => targets[dice.indexOf(die)]));
+        }
+      });
+    }
+    
+    /**
+     * Watch the table again after a die was thrown by hand
+     *
+     * An unsettled roll keeps its promise but is reported as manual; otherwise
+     * the dice already on the table are read as a new roll of the last notation.
+     */
+    function watchHandThrow() {
+      if (!pendingRoll) {
+        pendingRoll = { ...lastRoll, resolve() {}, reject() {} };
+      }
+      
+      // Forced values no longer hold once a die has been moved by hand
+      Object.assign(pendingRoll, {
+        random: createRandom(generateSeed()),
+        gesture: null,
+        targets: null,
+        predetermined: false,
+        manual: true,
+        profile: PHYSICS.profile
+      });
+      
+      settleDetector.start(dice, simulationTime);
+      startRecording();
+      loop.wake();
+    }
+    
+    /**
+     * Start recording the pending roll from the current state of the table
+     */
+    function startRecording() {
+      const { notation, random, gesture, predetermined, manual, profile } = pendingRoll;
+      recorder.start(
+        { notation, seed: random.seed, algorithm: random.algorithm, gesture: gesture || null, predetermined, manual, profile },
+        dice,
+        dice.map((die, index) => DICE_COLORS[index % DICE_COLORS.length]),
+        simulationTime
+      );
+    }
+    
+    /**
+     * Replay a recorded roll in place of the dice on the table
+     * @param {Object} recording - Recording checked by parseRecording
+     * @param {string} [label='Replay'] - Shown in front of the result
+     */
+    function startReplay(recording, label = 'Replay') {
+      stopReplay();
+      
+      replay = createReplayPlayer({
+        THREE,
+        RAPIER,
+        scene,
+        recording,
+        textureCache,
+        onEnd: updateReplayControls,
+        config
+      });
+      quality.applyToDice(replay.dice);
+      
+      // The live dice stay in the world but out of sight
+      dice.forEach(die => {
+        die.mesh.visible = false;
+        die.light.visible = false;
+      });
+      
+      replayScrub.max = replay.getDuration();
+      replay.setSpeed(Number(replaySpeed.value));
+      replay.play();
+      replayBar.hidden = false;
+      showRollResult(`${label}: ${recording.result.breakdown}`);
+      updateReplayControls();
+      loop.wake();
+    }
+    
+    /**
+     * End the replay and show the live dice again
+     */
+    function stopReplay() {
+      if (!replay) return;
+      
+      replay.dispose();
+      replay = null;
+      
+      dice.forEach(die => {
+        die.mesh.visible = true;
+      });
+      quality.applyToDice(dice);
+      replayBar.hidden = true;
+      loop.wake();
+    }
+    
+    /**
+     * Show the replay position and state on the controls
+     */
+    function updateReplayControls() {
+      if (!replay) return;
+      
+      replayPlayButton.textContent = replay.isPlaying() ? 'PAUSE' : 'PLAY';
+      replayScrub.value = replay.getTime();
+      replayTime.textContent = `${(replay.getTime() / 1000).toFixed(1)}s / ${(replay.getDuration() / 1000).toFixed(1)}s`;
+    }
+    
+    /**
+     * Roll whatever is typed in the notation field, showing errors next to it
+     * @param {Object} [rollOptions] - Roll options passed on to roll()
+     */
+    function rollFromInput(rollOptions) {
+      const notation = notationInput.value.trim() || DICE_POOL.defaultNotation;
+      
+      roll(notation, rollOptions).catch(err => {
+        if (err.name === 'RollInterruptedError') return;
+        showRollResult(err.message, true);
+      });
+    }
+    
+    /**
+     * Show the outcome of a roll (or an error) under the notation field
+     * @param {string} text - Text to show
+     * @param {boolean} [isError=false] - Whether the text is an error message
+     */
+    function showRollResult(text, isError = false) {
+      rollResultEl.textContent = text;
+      rollResultEl.classList.toggle('error', isError);
+    }
+    
+    // Notation input
+    const rollForm = root.querySelector('.roll-form');
+    const notationInput = root.querySelector('.notation-input');
+    const rollResultEl = root.querySelector('.roll-result');
+    notationInput.value = options.notation || DICE_POOL.defaultNotation;
+    
+    rollForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      rollFromInput();
+    });
+    
+    // Collision sounds, fed from the contact force events of every physics step
+    const sounds = createCollisionSounds({ element: root, config });
+    
+    // Sound controls
+    const muteButton = root.querySelector('.mute-button');
+    const volumeSlider = root.querySelector('.volume-slider');
+    
+    /**
+     * Show the current sound settings on the controls
+     */
+    function updateSoundControls() {
+      muteButton.textContent = sounds.isMuted() ? 'SOUND OFF' : 'SOUND ON';
+      muteButton.classList.toggle('muted', sounds.isMuted());
+      volumeSlider.value = sounds.getVolume();
+    }
+    
+    muteButton.addEventListener('click', () => {
+      sounds.setMuted(!sounds.isMuted());
+      updateSoundControls();
+    });
+    volumeSlider.addEventListener('input', () => {
+      sounds.setVolume(Number(volumeSlider.value));
+      updateSoundControls();
+    });
+    updateSoundControls();
+    
+    // Quality control: automatic, or one tier picked by hand
+    const qualitySelect = root.querySelector('.quality-select');
+    
+    /**
+     * Show the current quality setting on the control
+     */
+    function updateQualityControl() {
+      qualitySelect.value = quality.isAuto() ? 'auto' : quality.getTier().name;
+      qualitySelect.options[0].textContent = `AUTO (${quality.getTier().name.toUpperCase()})`;
+    }
+    
+    qualitySelect.addEventListener('change', () => quality.setTier(qualitySelect.value));
+    updateQualityControl();
+    
+    // Replay controls
+    const replayButton = root.querySelector('.replay-button');
+    const replayBar = root.querySelector('.replay-bar');
+    const replayPlayButton = root.querySelector('.replay-play');
+    const replayScrub = root.querySelector('.replay-scrub');
+    const replaySpeed = root.querySelector('.replay-speed');
+    const replayTime = root.querySelector('.replay-time');
+    
+    REPLAY.speeds.forEach(speed => {
+      replaySpeed.add(new Option(`${speed}x`, speed, speed === 1, speed === 1));
+    });
+    
+    replayButton.addEventListener('click', () => {
+      if (lastRecording) startReplay(lastRecording);
+    });
+    replayPlayButton.addEventListener('click', () => {
+      if (replay.isPlaying()) {
+        replay.pause();
+      } else {
+        replay.play();
+      }
+      updateReplayControls();
+      loop.wake();
+    });
+    replayScrub.addEventListener('input', () => {
+      replay.pause();
+      replay.seek(Number(replayScrub.value));
+      updateReplayControls();
+      loop.wake();
+    });
+    replaySpeed.addEventListener('change', () => {
+      if (replay) replay.setSpeed(Number(replaySpeed.value));
+    });
+    root.querySelector('.replay-save').addEventListener('click', () => {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([serializeRecording(replay.recording)], { type: 'application/json' }));
+      link.download = `neon-dice-roll-${replay.recording.roll.seed ?? 'manual'}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    });
+    root.querySelector('.replay-close').addEventListener('click', () => stopReplay());
+    
+    /**
+     * Get a link that throws the last roll again
+     * @returns {string} - Page URL with the roll in its hash
+     */
+    function share() {
+      if (!lastSettled) {
+        throw new Error('No roll to share yet');
+      }
+      
+      const link = createRollLink(lastSettled.detail, lastSettled.settings, RAPIER.version());
+      const url = `${window.location.href.split('#')[0]}${encodeRollLink(link)}`;
+      emitter.emit('share', { url, link });
+      return url;
+    }
+    
+    /**
+     * Throw the roll of a link with its settings, and check that it lands as it did
+     * @param {string} text - URL or hash containing "#roll="
+     * @returns {Promise<Object>} - Resolves with { detail, reproduced, problems }
+     */
+    async function openLink(text) {
+      let link;
+      try {
+        link = decodeRollLink(text);
+      } catch (err) {
+        showRollResult(err.message, true);
+        throw err;
+      }
+      
+      const { changes, problems } = compareLinkSettings(link, config);
+      if (link.engine !== RAPIER.version()) {
+        problems.push(`it was thrown with physics engine ${link.engine}, this table runs ${RAPIER.version()}`);
+      }
+      
+      // A link is untrusted input: its settings are checked like any other
+      // override, and none apply unless they fit together
+      const checked = {};
+      Object.entries({ ...changes, 'PHYSICS.profile': link.profile ?? '' }).forEach(([path, value]) => {
+        try {
+          checked[path] = validateSetting(path, value);
+        } catch (err) {
+          problems.push(err.message);
+        }
+      });
+      const conflicts = checkCombinedSettings(path => (path in checked ? checked[path] : getSetting(path, config)));
+      problems.push(...conflicts);
+      
+      // The link's settings only hold for its own roll
+      const previous = conflicts.length > 0 ? {} : applySettings(checked, config);
+      
+      notationInput.value = link.notation;
+      let detail;
+      try {
+        detail = await roll(link.notation, {
+          seed: link.seed,
+          algorithm: link.algorithm,
+          gesture: link.gesture || undefined,
+          values: link.values || undefined
+        });
+      } catch (err) {
+        if (err.name !== 'RollInterruptedError') showRollResult(err.message, true);
+        throw err;
+      } finally {
+        applySettings(previous, config);
+      }
+      
+      const values = detail.dice.map(die => die.value);
+      if (values.join() !== link.result.join()) {
+        problems.push(`it landed on ${values.join(', ')} instead of ${link.result.join(', ')}`);
+      }
+      
+      if (problems.length > 0) {
+        showRollResult(`${detail.breakdown} - this link could not be reproduced exactly: ${problems.join('; ')}`, true);
+      } else {
+        showRollResult(`${detail.breakdown} (from a roll link, seed ${detail.seed})`);
+      }
+      
+      return { detail, reproduced: problems.length === 0, problems };
+    }
+    
+    // Share: copy a link to the last roll
+    const shareButton = root.querySelector('.share-button');
+    shareButton.addEventListener('click', async () => {
+      try {
+        const url = share();
+        if (navigator.clipboard) {
+          await navigator.clipboard.writeText(url);
+          showRollResult('Link to this roll copied');
+        } else {
+          // The clipboard API needs a secure context
+          showRollResult(url);
+        }
+      } catch (err) {
+        showRollResult(err.message, true);
+      }
+    });
+    
+    // Hide loading screen and show instructions
+    loading.progress(100, 'Ready!');
+    loading.hide();
+    
+    // Drag on the table to throw, or tap for a random throw
+    const drag = createDragThrow({
+      THREE,
+      camera,
+      element: renderer.domElement,
+      onThrow: gesture => rollFromInput({ gesture }),
+      onTap: () => rollFromInput(),
+      config
+    });
+    
+    // Initial roll after a short delay
+    const initialRoll = options.autoRoll === false ? null : setTimeout(() => rollFromInput(), 500);
+    
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} dt - Step length in seconds
+     */
+    function stepSimulation(dt) {
+      // Move a carried die, then step physics world (impacts are played
+      // through physicsOptions.onImpact)
+      grab.update(dt);
+      physics.step();
+      simulationTime += dt * 1000;
+      
+      // Check whether the current roll has settled
+      settleDetector.update(simulationTime);
+    }
+    
+    // Animation loop: fixed physics steps, one interpolated render per frame,
+    // sleeping while the table is still
+    const loop = createFixedStepLoop({
+      step: stepSimulation,
+      timestep: physics.timestep,
+      isIdle: () =>
+        !settleDetector.isRolling() &&
+        !grab.isHolding() &&
+        !(replay && replay.isPlaying()) &&
+        dice.every(die => die.isAtRest()),
+      render(alpha, frameTime) {
+        quality.recordFrame(frameTime);
+        
+        // Update dice positions and rotations
+        dice.forEach(die => die.update(alpha));
+        
+        // Move the replay dice along the recording
+        if (replay) {
+          replay.update(frameTime);
+          updateReplayControls();
+        }
+        
+        // Render scene
+        renderer.render(scene, camera);
+      },
+      config
+    });
+    
+    // Start animation loop
+    loop.start();
+    
+    // Follow the size of the container
+    const resizeObserver = new ResizeObserver(() => {
+      const width = root.clientWidth;
+      const height = root.clientHeight;
+      if (width === 0 || height === 0) return;
+      
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      renderer.setSize(width, height);
+      loop.wake();
+    });
+    resizeObserver.observe(root);
+    
+    // Any press on the table may pick up a die or start a throw, and ends a replay
+    renderer.domElement.addEventListener('pointerdown', () => {
+      stopReplay();
+      loop.wake();
+    });
+    
+    /**
+     * Stop the loop, input, sounds and physics and free the GPU resources
+     */
+    function dispose() {
+      clearTimeout(initialRoll);
+      interruptRoll('Table destroyed');
+      settleDetector.cancel();
+      recorder.cancel();
+      stopReplay();
+      
+      loop.dispose();
+      resizeObserver.disconnect();
+      grab.dispose();
+      drag.dispose();
+      sounds.dispose();
+      
+      dice.forEach(die => die.dispose());
+      dice = [];
+      physics.dispose();
+      
+      // Floor, mountains and anything else left in the scene
+      scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) {
+          (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => material.dispose());
+        }
+      });
+      textureCache.dispose();
+      renderer.dispose();
+      renderer.forceContextLoss();
+    }
+    
+    log('Table ready');
+    
+    return {
+      roll,
+      setDice,
+      hold,
+      setVolume(value) {
+        sounds.setVolume(value);
+        updateSoundControls();
+      },
+      setMuted(value) {
+        sounds.setMuted(value);
+        updateSoundControls();
+      },
+      setQuality: name => quality.setTier(name),
+      
+      /**
+       * Replay a recorded roll
+       * @param {string|Object} [recording] - Recording or its JSON; the last roll if omitted
+       * @param {Object} [replayOptions] - { label } shown in front of the result instead of "Replay"
+       */
+      replay(recording, replayOptions = {}) {
+        const source = recording ?? lastRecording;
+        if (!source) {
+          throw new Error('No roll has been recorded yet');
+        }
+        startReplay(parseRecording(source), replayOptions.label);
+      },
+      stopReplay,
+      
+      /**
+       * Get the recording of the last settled roll
+       * @returns {string|null} - Recording as JSON, or null before the first roll
+       */
+      getRecording: () => (lastRecording ? serializeRecording(lastRecording) : null),
+      
+      share,
+      openLink,
+      updateSettings,
+      setTheme,
+      setProfile,
+      getSetting: path => getSetting(path, config),
+      
+      // Settings of this table, for the parts mount adds (e.g. the multiplayer session)
+      config,
+      
+      // Stop everything and free the table's resources
+      dispose
+    };
+  } catch (err) {
+    error('Failed to initialize the table', err);
+    loading.showError(
+      'Application Error',
+      'Failed to initialize the 3D environment.',
+      'Please check your browser compatibility and try refreshing the page.'
+    );
+    throw err;
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * Collision sounds for Neon Dice 2000
+ *
+ * Every impact is synthesized with WebAudio (a pitched click plus a filtered
+ * noise burst), so nothing has to be downloaded and it works offline.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+
+/**
+ * Create the sound engine for dice impacts
+ *
+ * Browsers only allow audio after a user gesture, so the audio context is
+ * started on the first press or key stroke on the page (or on the given element).
+ * @param {Object} [options] - Sound options
+ * @param {number} [options.volume] - Initial master volume (0-1)
+ * @param {boolean} [options.muted] - Start muted
+ * @param {EventTarget} [options.element=window] - Where the first press or key stroke is waited for
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Controller with playImpact, setVolume, setMuted and dispose methods
+ */
+export function createCollisionSounds(options = {}) {
+  const { SOUND } = options.config ?? CONFIG;
+  let volume = options.volume ?? SOUND.volume;
+  let muted = options.muted ?? SOUND.muted;
+  const element = options.element || window;
+
+  let context = null;
+  let master = null;
+  let noise = null;
+  let activeVoices = 0;
+
+  // When each pair of colliders last sounded, so one impact spread over a few
+  // physics steps plays only once. Kept oldest first and pruned as entries
+  // expire, since collider handles change with every world.
+  const lastPlayed = new Map();
+
+  /**
+   * Start the audio context on the first press or key, as browsers only allow
+   * sound after the user has interacted with the page
+   */
+  function unlock() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    if (!context) {
+      context = new AudioContext();
+      master = context.createGain();
+      master.gain.value = muted ? 0 : volume;
+      master.connect(context.destination);
+      noise = createNoiseBuffer(context);
+      log('Audio started');
+    }
+
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+
+    element.removeEventListener('pointerdown', unlock, true);
+    element.removeEventListener('keydown', unlock, true);
+  }
+
+  element.addEventListener('pointerdown', unlock, true);
+  element.addEventListener('keydown', unlock, true);
+
+  /**
+   * Apply the current volume and mute state to the master gain
+   */
+  function updateMaster() {
+    if (master) {
+      master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.02);
+    }
+  }
+
+  return {
+    /**
+     * Play one impact
+     * @param {string} kind - What the die hit: 'dice', 'floor' or 'wall'
+     * @param {number} force - Contact force magnitude reported by the physics engine
+     * @param {string} [key] - Identifies the colliding pair for the cooldown
+     */
+    playImpact(kind, force, key) {
+      if (!context || context.state !== 'running' || muted || volume === 0) return;
+      if (activeVoices >= SOUND.maxVoices || !SOUND.voices[kind]) return;
+
+      const now = performance.now();
+      for (const [pair, time] of lastPlayed) {
+        if (now - time < SOUND.pairCooldown) break;
+        lastPlayed.delete(pair);
+      }
+      if (key !== undefined) {
+        if (lastPlayed.has(key)) return;
+        lastPlayed.set(key, now);
+      }
+
+      // Louder and slightly higher for harder hits, on a log scale
+      const intensity = Math.min(1, Math.max(0,
+        Math.log(force / SOUND.minForce) / Math.log(SOUND.maxForce / SOUND.minForce)
+      ));
+
+      activeVoices++;
+      playVoice(context, master, noise, SOUND.voices[kind], intensity, () => {
+        activeVoices--;
+      });
+    },
+
+    /**
+     * Set the master volume
+     * @param {number} value - Volume between 0 and 1
+     */
+    setVolume(value) {
+      volume = Math.min(1, Math.max(0, value));
+      updateMaster();
+    },
+
+    /**
+     * Mute or unmute every sound
+     * @param {boolean} value - Whether sound is muted
+     */
+    setMuted(value) {
+      muted = value;
+      updateMaster();
+    },
+
+    /**
+     * Get the master volume
+     * @returns {number} - Volume between 0 and 1
+     */
+    getVolume() {
+      return volume;
+    },
+
+    /**
+     * Check whether sound is muted
+     * @returns {boolean} - True when muted
+     */
+    isMuted() {
+      return muted;
+    },
+
+    /**
+     * Stop the audio context and forget pending listeners
+     */
+    dispose() {
+      element.removeEventListener('pointerdown', unlock, true);
+      element.removeEventListener('keydown', unlock, true);
+      if (context) {
+        context.close();
+        context = null;
+        master = null;
+        noise = null;
+      }
+    }
+  };
+}
+
+/**
+ * Synthesize a single impact: a short pitched click over a band of noise
+ * @param {AudioContext} context - Audio context
+ * @param {AudioNode} output - Node the sound is sent to
+ * @param {AudioBuffer} noise - White noise buffer
+ * @param {Object} voice - Base frequency and decay of this kind of impact
+ * @param {number} intensity - Impact strength (0-1)
+ * @param {Function} onEnded - Called once the sound has finished
+ */
+function playVoice(context, output, noise, voice, intensity, onEnded) {
+  const now = context.currentTime;
+  const decay = voice.decay * (0.7 + intensity * 0.6);
+  const frequency = voice.frequency * (0.9 + intensity * 0.3) * (0.95 + Math.random() * 0.1);
+  const peak = 0.05 + intensity * 0.95;
+
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(0.0001, now);
+  envelope.gain.exponentialRampToValueAtTime(peak, now + 0.002);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, now + decay);
+  envelope.connect(output);
+
+  const click = context.createOscillator();
+  click.type = 'triangle';
+  click.frequency.setValueAtTime(frequency, now);
+  click.frequency.exponentialRampToValueAtTime(frequency * 0.6, now + decay);
+  click.connect(envelope);
+
+  const filter = context.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = frequency * 2;
+  filter.Q.value = 1.5;
+  filter.connect(envelope);
+
+  const burst = context.createBufferSource();
+  burst.buffer = noise;
+  burst.connect(filter);
+
+  click.onended = () => {
+    envelope.disconnect();
+    onEnded();
+  };
+
+  click.start(now);
+  burst.start(now);
+  click.stop(now + decay + 0.02);
+  burst.stop(now + decay + 0.02);
+}
+
+/**
+ * Create a short buffer of white noise shared by every impact
+ * @param {AudioContext} context - Audio context
+ * @returns {AudioBuffer} - Noise buffer
+ */
+function createNoiseBuffer(context) {
+  const buffer = context.createBuffer(1, Math.floor(context.sampleRate * 0.3), context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1;
+  }
+
+  return buffer;
+}
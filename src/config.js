@@ -44,18 +44,147 @@ export const LIGHTING = {
 // Physics settings
 export const PHYSICS = {
   gravity: { x: 0, y: -9.81, z: 0 },
+  timestep: 1 / 60,  // Fixed simulation step (s), independent of the display refresh rate
+  worker: true,      // Step the world in a Web Worker (falls back to the main thread if it cannot start)
+  workerTimeout: 10000, // Time (ms) the worker may take to load Rapier
+  profile: '',       // Feel profile applied at start (see physics/profiles.js); '' keeps the values in this file
   floorSize: { x: 80, y: 0.1, z: 80 },
+  walls: {
+    restitution: 0.6   // Bounciness of the walls around the table
+  },
   dice: {
     size: 1.5,
     restitution: 0.7,  // Increased from 0.3 for more bounce
     friction: 0.5,     // Reduced from 0.8 for less drag
     linearDamping: 0.3, // Reduced from 0.5 for less slowdown
     angularDamping: 0.2, // Reduced from 0.5 for more rotation
+    cockedAngle: 10,   // Degrees a resting die may tilt before it counts as cocked
+    restHeightTolerance: 0.15, // How far above the floor a die may rest before it counts as cocked
     // Note: mass parameter removed as it's not supported in this version
     debug: false       // Optional debug flag
   }
 };
 
+// Throw settings - every random range below is sampled from the roll's seeded generator
+export const THROW = {
+  origin: { x: 8, y: 8, z: 8 },      // Spawn point of the first die
+  spacing: { x: 4, y: 3, z: 3 },     // Offset between dice in a row (wider spacing)
+  rowSpacing: 4,                     // Extra Z offset for each new row
+  perRow: 5,                         // Dice per row before wrapping
+  jitter: 1,                         // Random spawn offset (+/-) on X and Z
+  force: { min: 18, max: 23 },       // Base impulse strength (increased force)
+  impulse: {
+    x: { min: -1.1, max: -0.9 },     // Multiplier of the force along X
+    y: { min: 6, max: 9 },           // Upward impulse (more upward force)
+    z: { min: -1.0, max: -0.7 }      // Multiplier of the force along Z
+  },
+  torque: 15                         // Random torque range on each axis (increased from 10)
+};
+
+// Drag-to-throw gesture
+export const GESTURE = {
+  tapDistance: 10,        // Pointer travel (px) below which a press counts as a tap
+  tapTime: 250,           // Press duration (ms) below which a short press counts as a tap
+  sampleWindow: 80,       // Pointer history (ms) used to measure the release velocity
+  minSpeed: 4,            // Release speed (units/s) below which a drag falls back to a random throw
+  impulsePerSpeed: 0.6,   // Impulse per unit/s of release speed
+  maxImpulse: 40,         // Cap for very fast flicks
+  spinPerSpeed: 0.25,     // Forward spin torque per unit/s of release speed
+  releaseHeight: 6,       // Height above the table where dragged dice are let go
+  spread: 1.5             // Distance between dice released together
+};
+
+// Grabbing and shaking dice with the pointer
+export const GRAB = {
+  holdHeight: 4,          // Height above the table at which a grabbed die is carried
+  followRate: 20,         // How quickly (1/s) a carried die catches up with the pointer
+  spinPerShake: 0.6,      // Spin (rad/s) gained per unit/s change of carrying velocity
+  maxSpin: 40,            // Spin cap (rad/s)
+  spinDecay: 1.5,         // Fraction of the spin lost per second while carried
+  maxReleaseSpeed: 40     // Cap on the velocity handed to the die on release
+};
+
+// Held (locked) dice
+export const HOLD = {
+  emissiveIntensity: 2.2, // Glow of a held die (1 when not held)
+  wireframeColor: 0xffffff // Edge color marking a held die
+};
+
+// Rendering quality tiers, from cheapest to best
+export const QUALITY = {
+  tiers: [
+    { name: 'low', pixelRatio: 1, shadowMapSize: 0, textureSize: 512, pointLights: false, mountains: false },
+    { name: 'medium', pixelRatio: 1.5, shadowMapSize: 1024, textureSize: 1024, pointLights: true, mountains: false },
+    { name: 'high', pixelRatio: 3, shadowMapSize: 2048, textureSize: 2048, pointLights: true, mountains: true }
+  ],
+  initial: 'high',        // Tier to start with
+  auto: true,             // Adapt the tier to the measured frame time
+  sampleFrames: 90,       // Frames averaged before deciding
+  slowFrameTime: 24,      // Average frame time (ms) above which quality steps down (~40 fps)
+  fastFrameTime: 18,      // Average frame time (ms) below which quality may step up again
+  slowRefreshes: 1.5,     // ...or above this many refresh intervals, whichever is longer (30/50 Hz displays)
+  fastRefreshes: 1.1,     // ...or below this many refresh intervals, whichever is longer
+  retryDelay: 60000       // Time (ms) before retrying a tier that was too slow
+};
+
+// Fixed-timestep simulation loop
+export const LOOP = {
+  maxSubsteps: 5,         // Physics steps run per frame at most; a longer backlog is dropped
+  maxFrameTime: 0.25      // Longest frame (s) fed to the simulation, e.g. after a tab switch
+};
+
+// Collision sounds
+export const SOUND = {
+  volume: 0.6,            // Master volume (0-1)
+  muted: false,           // Start muted
+  minForce: 150,          // Contact force below which no sound plays (a resting d6 weighs ~33)
+  maxForce: 5000,         // Contact force that plays at full volume and pitch
+  pairCooldown: 60,       // Time (ms) before the same two colliders can sound again
+  maxVoices: 16,          // Impacts sounding at once
+  voices: {               // Base pitch (Hz) and decay (s) per kind of impact
+    dice: { frequency: 1400, decay: 0.08 },
+    floor: { frequency: 220, decay: 0.12 },
+    wall: { frequency: 140, decay: 0.18 }
+  }
+};
+
+// Roll settle detection
+export const SETTLE = {
+  restTime: 500,   // How long (ms) every die must stay at rest before the roll completes
+  timeout: 15000,  // Report the roll anyway if the dice are still moving after this long (ms)
+  rerollInvalid: false, // Automatically re-throw cocked or off-table dice
+  maxRerolls: 3    // Give up re-throwing after this many attempts per roll
+};
+
+// Roll recording and replay
+export const REPLAY = {
+  maxDuration: 30000,     // Stop recording a roll after this much simulated time (ms)
+  positionDecimals: 3,    // Decimals kept of recorded positions
+  rotationDecimals: 4,    // Decimals kept of recorded quaternion components
+  speeds: [0.25, 0.5, 1, 2] // Playback speeds offered by the replay controls
+};
+
+// Shared tables (see src/multiplayer/ and tools/relay.js)
+export const MULTIPLAYER = {
+  port: 8787,               // Port of the relay; clients use ws://<page host>:<port> unless given a URL
+  historySize: 50,          // Rolls kept per room and sent to players who join later
+  reconnectDelay: 1000,     // First wait (ms) before reconnecting; doubles after every failed attempt
+  maxReconnectDelay: 15000, // Longest wait (ms) between reconnect attempts
+  outboxSize: 20,           // Own rolls kept for sending while the relay is unreachable; older ones are dropped
+  maxMessageSize: 1048576   // Largest message (bytes) the relay accepts, recordings included
+};
+
+// Embedding in an iframe (postMessage protocol, see src/embed/bridge.js)
+export const EMBED = {
+  allowedOrigins: [] // Host pages allowed to drive the table besides its own origin; '*' allows any
+};
+
+// Dice pool settings
+export const DICE_POOL = {
+  defaultNotation: '2d6', // Rolled on click until the player types something else
+  maxDice: 20             // Most dice spawned on the table for a single roll
+};
+
 // Dice colors
 export const DICE_COLORS = [
   0xff00ff,  // Pink
@@ -83,6 +212,14 @@ export const FLOOR = {
     distance: 500,
     height: 80,
     color: 0x0088aa,
-    glowColor: 0x00ffff
+    glowColor: 0x00ffff,
+    skyColor: 0x001122 // Sky at the horizon, fading to black above
   }
+};
+
+// Themes bundling dice colors, floor, lighting and backdrop (see graphics/themes.js)
+export const THEME = {
+  name: '',        // Theme applied at start ('' keeps the colors in this file)
+  path: 'themes/', // Folder of the theme files (<name>.json), relative to the page
+  choices: ['synthwave', 'vaporwave', 'casino-felt', 'terminal'] // Themes offered in the settings drawer
 };
\ No newline at end of file
@@ -0,0 +1,263 @@
+/**
+ * postMessage bridge for Neon Dice 2000
+ *
+ * Lets the page that embeds a table in an iframe drive it. Every message is a
+ * plain object tagged with the protocol name and version:
+ *
+ *   host -> table  { protocol: 'neon-dice', version: 1, id, type, payload }
+ *   table -> host  { protocol: 'neon-dice', version: 1, id, type: 'result', payload }
+ *                  { protocol: 'neon-dice', version: 1, id, type: 'error', error: { name, code, message } }
+ *                  { protocol: 'neon-dice', version: 1, type: 'event', event, payload }
+ *
+ * Each request is answered with exactly one result or error carrying its id.
+ * Events ("ready", "error", "rollcomplete") go to every host that has sent a
+ * message. Messages from origins that are not allowed are ignored.
+ */
+
+import { EMBED } from '../config.js';
+import { log } from '../utils/debug.js';
+
+// Tag of every protocol message, so other postMessage traffic is ignored
+export const PROTOCOL_NAME = 'neon-dice';
+
+// Version of the message format
+export const PROTOCOL_VERSION = 1;
+
+// Table events forwarded to the hosts
+const FORWARDED_EVENTS = ['ready', 'error', 'rollcomplete'];
+
+// Settings a host may change with a configure request
+const CONFIGURE_KEYS = ['quality', 'volume', 'muted', 'theme', 'profile'];
+
+/**
+ * Requests a host can send, by type. Each handler gets the table controller
+ * and the request payload and returns the result payload (or a promise of it).
+ */
+const REQUESTS = {
+  hello: (table, payload, state) => ({
+    version: PROTOCOL_VERSION,
+    requests: Object.keys(REQUESTS),
+    events: FORWARDED_EVENTS,
+    ready: state.ready
+  }),
+
+  roll(table, payload) {
+    requireString(payload, 'notation');
+    requireObject(payload, 'options');
+    return table.roll(payload.notation, payload.options);
+  },
+
+  async setDice(table, payload) {
+    requireString(payload, 'notation');
+    await table.setDice(payload.notation);
+    return null;
+  },
+
+  hold(table, payload) {
+    if (!Number.isInteger(payload.index)) {
+      throw createRequestError('invalid-request', 'hold needs a die index');
+    }
+    if (payload.held !== undefined && typeof payload.held !== 'boolean') {
+      throw createRequestError('invalid-request', 'held must be true or false');
+    }
+    table.hold(payload.index, payload.held);
+    return null;
+  },
+
+  configure(table, payload) {
+    const unknown = Object.keys(payload).filter(key => !CONFIGURE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw createRequestError('invalid-request', `Unknown settings: ${unknown.join(', ')}`);
+    }
+    if (payload.theme !== undefined) {
+      requireString(payload, 'theme');
+    }
+    if (payload.profile !== undefined) {
+      requireString(payload, 'profile');
+    }
+
+    if (payload.quality !== undefined) table.setQuality(payload.quality);
+    if (payload.volume !== undefined) table.setVolume(payload.volume);
+    if (payload.muted !== undefined) table.setMuted(payload.muted);
+
+    const switching = [];
+    if (payload.profile !== undefined) switching.push(table.setProfile(payload.profile));
+    if (payload.theme !== undefined) switching.push(table.setTheme(payload.theme));
+    return switching.length > 0 ? Promise.all(switching).then(() => null) : null;
+  },
+
+  replay(table, payload) {
+    table.replay(payload.recording);
+    return null;
+  },
+
+  stopReplay(table) {
+    table.stopReplay();
+    return null;
+  },
+
+  getRecording: table => ({ recording: table.getRecording() }),
+
+  share: table => ({ url: table.share() }),
+
+  openLink(table, payload) {
+    requireString(payload, 'link');
+    return table.openLink(payload.link);
+  }
+};
+
+/**
+ * Answer protocol messages from the page embedding this one
+ * @param {Object} table - Table controller returned by mount
+ * @param {Object} [options] - Bridge options
+ * @param {Array<string>} [options.allowedOrigins] - Host origins besides the page's own (default EMBED.allowedOrigins)
+ * @param {Window} [options.window] - Window receiving the messages (default window)
+ * @returns {Object} - Bridge with a dispose method
+ */
+export function createMessageBridge(table, options = {}) {
+  const target = options.window || window;
+  const allowedOrigins = options.allowedOrigins || EMBED.allowedOrigins;
+
+  // Windows that have talked to the table, with their origin
+  const hosts = new Map();
+
+  const state = { ready: false };
+
+  /**
+   * Check whether a host origin may drive the table
+   * @param {string} origin - Origin of a message
+   * @returns {boolean} - True if allowed
+   */
+  function isAllowed(origin) {
+    return origin === target.location.origin || allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+  }
+
+  /**
+   * Send a message to a host
+   * @param {Window} source - Host window
+   * @param {string} origin - Host origin
+   * @param {Object} message - Message without the protocol tag
+   */
+  function post(source, origin, message) {
+    try {
+      source.postMessage({ protocol: PROTOCOL_NAME, version: PROTOCOL_VERSION, ...message }, origin);
+    } catch (err) {
+      // The host went away or the payload cannot be cloned
+      log(`Could not post ${message.type} to ${origin}: ${err.message}`);
+      hosts.delete(source);
+    }
+  }
+
+  /**
+   * Run a request and answer it
+   * @param {Object} event - Message event
+   */
+  async function handleMessage(event) {
+    const message = event.data;
+    if (!message || typeof message !== 'object' || message.protocol !== PROTOCOL_NAME) return;
+
+    if (!isAllowed(event.origin)) {
+      log(`Ignored ${PROTOCOL_NAME} message from ${event.origin}`);
+      return;
+    }
+
+    const { source, origin } = event;
+    if (!source) return;
+    hosts.set(source, origin);
+
+    const { id } = message;
+    try {
+      if (message.version !== PROTOCOL_VERSION) {
+        throw createRequestError('unsupported-version', `Unsupported protocol version: ${message.version} (expected ${PROTOCOL_VERSION})`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(REQUESTS, message.type)) {
+        throw createRequestError('unknown-request', `Unknown request: ${message.type}`);
+      }
+
+      const payload = message.payload ?? {};
+      if (typeof payload !== 'object' || Array.isArray(payload)) {
+        throw createRequestError('invalid-request', 'payload must be an object');
+      }
+
+      // Everything but the handshake needs a loaded table
+      if (message.type !== 'hello') {
+        await table.ready;
+      }
+
+      const result = await REQUESTS[message.type](table, payload, state);
+      post(source, origin, { id, type: 'result', payload: result });
+    } catch (err) {
+      post(source, origin, {
+        id,
+        type: 'error',
+        error: {
+          name: err.name,
+          code: err.code || (err.name === 'RollInterruptedError' ? 'interrupted' : 'failed'),
+          message: err.message
+        }
+      });
+    }
+  }
+
+  target.addEventListener('message', handleMessage);
+
+  // Forward table events to every host
+  const unsubscribe = FORWARDED_EVENTS.map(name => table.on(name, detail => {
+    if (name === 'ready') state.ready = true;
+
+    // Errors and the controller itself do not survive structured cloning
+    let payload = null;
+    if (name === 'error') {
+      payload = { name: detail.name, message: detail.message };
+    } else if (name === 'rollcomplete') {
+      payload = detail;
+    }
+
+    hosts.forEach((origin, source) => post(source, origin, { type: 'event', event: name, payload }));
+  }));
+
+  return {
+    /**
+     * Stop answering messages and forwarding events
+     */
+    dispose() {
+      target.removeEventListener('message', handleMessage);
+      unsubscribe.forEach(off => off());
+      hosts.clear();
+    }
+  };
+}
+
+/**
+ * Create an error answered to the host with a machine-readable code
+ * @param {string} code - Error code, e.g. "invalid-request"
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code property
+ */
+function createRequestError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Check that a payload field is a string
+ * @param {Object} payload - Request payload
+ * @param {string} key - Field name
+ */
+function requireString(payload, key) {
+  if (typeof payload[key] !== 'string') {
+    throw createRequestError('invalid-request', `${key} must be a string`);
+  }
+}
+
+/**
+ * Check that an optional payload field is an object
+ * @param {Object} payload - Request payload
+ * @param {string} key - Field name
+ */
+function requireObject(payload, key) {
+  if (payload[key] !== undefined && (typeof payload[key] !== 'object' || payload[key] === null || Array.isArray(payload[key]))) {
+    throw createRequestError('invalid-request', `${key} must be an object`);
+  }
+}
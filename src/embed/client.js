@@ -0,0 +1,130 @@
+/**
+ * postMessage client for Neon Dice 2000
+ *
+ * Used by a host page to drive a table running in an iframe (see bridge.js
+ * for the message format). Requests return promises that settle with the
+ * answer carrying their id.
+ */
+
+import { PROTOCOL_NAME, PROTOCOL_VERSION } from './bridge.js';
+import { createEmitter } from '../utils/events.js';
+
+/**
+ * Connect to a table embedded in an iframe
+ * @param {HTMLIFrameElement} iframe - Iframe showing the table page
+ * @param {Object} [options] - Client options
+ * @param {string} [options.origin] - Origin of the table page (default: taken from iframe.src)
+ * @param {number} [options.timeout=30000] - Reject requests not answered after this long (ms); 0 waits forever
+ * @returns {Object} - Client with request, roll, on, off and dispose methods; ready resolves with the hello answer
+ */
+export function connectTable(iframe, options = {}) {
+  const origin = options.origin || new URL(iframe.src, window.location.href).origin;
+  const timeout = options.timeout ?? 30000;
+  const emitter = createEmitter();
+
+  // Requests waiting for an answer, by id
+  const pending = new Map();
+  let nextId = 1;
+
+  /**
+   * Send a request to the table
+   * @param {string} type - Request type, e.g. "roll"
+   * @param {Object} [payload] - Request payload
+   * @returns {Promise<*>} - Resolves with the result payload, rejects with the table's error
+   */
+  function request(type, payload) {
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = timeout > 0 ? setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`No answer to ${type} request after ${timeout} ms`));
+      }, timeout) : null;
+
+      pending.set(id, { resolve, reject, timer });
+      iframe.contentWindow.postMessage({ protocol: PROTOCOL_NAME, version: PROTOCOL_VERSION, id, type, payload }, origin);
+    });
+  }
+
+  /**
+   * Route an answer or event from the table
+   * @param {Object} event - Message event
+   */
+  function handleMessage(event) {
+    const message = event.data;
+    if (event.source !== iframe.contentWindow || event.origin !== origin) return;
+    if (!message || message.protocol !== PROTOCOL_NAME) return;
+
+    if (message.type === 'event') {
+      emitter.emit(message.event, message.payload);
+      return;
+    }
+
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    pending.delete(message.id);
+    clearTimeout(entry.timer);
+
+    if (message.type === 'result') {
+      entry.resolve(message.payload);
+    } else {
+      const err = new Error(message.error.message);
+      err.name = message.error.name;
+      err.code = message.error.code;
+      entry.reject(err);
+    }
+  }
+
+  window.addEventListener('message', handleMessage);
+
+  // Say hello once the table page has loaded; answers to earlier attempts
+  // (while the iframe still showed another page) never arrive
+  const ready = new Promise(resolve => {
+    const hello = () => request('hello').then(resolve, () => {});
+    iframe.addEventListener('load', hello, { once: true });
+    if (iframe.contentDocument === null || iframe.contentDocument.readyState === 'complete') {
+      hello();
+    }
+  });
+
+  return {
+    // Resolves with the table's hello answer ({ version, requests, events, ready })
+    ready,
+
+    // Origin the requests are sent to
+    origin,
+
+    request,
+
+    /**
+     * Roll on the table
+     * @param {string} notation - Dice notation, e.g. "4d6kh3+2"
+     * @param {Object} [rollOptions] - seed, algorithm, values and gesture
+     * @returns {Promise<Object>} - Resolves with the rollcomplete details
+     */
+    roll: (notation, rollOptions) => request('roll', { notation, options: rollOptions }),
+
+    /**
+     * Listen for table events: "ready", "error" and "rollcomplete"
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event's payload
+     * @returns {Function} - Stops listening
+     */
+    on: (event, handler) => emitter.on(event, handler),
+
+    off: (event, handler) => emitter.off(event, handler),
+
+    /**
+     * Stop listening to the table; pending requests are rejected
+     */
+    dispose() {
+      window.removeEventListener('message', handleMessage);
+      pending.forEach(entry => {
+        clearTimeout(entry.timer);
+        entry.reject(new Error('Client disposed'));
+      });
+      pending.clear();
+      emitter.clear();
+    }
+  };
+}
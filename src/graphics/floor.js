@@ -2,32 +2,24 @@
  * Floor creation for Neon Dice 2000
  */
 
-import { FLOOR } from '../config.js';
+import * as CONFIG from '../config.js';
 import { log } from '../utils/debug.js';
 
-// Texture cache
-const textureCache = {
-  grid: null,
-  mountains: null
-};
-
 /**
  * Create the floor mesh with grid texture and Tron landscape
  * @param {Object} THREE - Three.js library
  * @param {Object} scene - Three.js scene
  * @param {Object} renderer - Three.js renderer
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
  * @returns {Object} - Floor mesh
  */
-export function createFloor(THREE, scene, renderer) {
+export function createFloor(THREE, scene, renderer, cache, config = CONFIG) {
   log('Creating floor with grid texture');
+  const { FLOOR } = config;
   
   // Create grid texture (using cache)
-  const gridTexture = getGridTexture(THREE);
-  
-  // Set anisotropic filtering for sharper appearance
-  if (renderer.capabilities.getMaxAnisotropy) {
-    gridTexture.anisotropy = renderer.capabilities.getMaxAnisotropy();
-  }
+  const gridTexture = getGridTexture(THREE, renderer, cache, FLOOR.textureSize, config);
   
   // Create floor geometry
   const floorGeometry = new THREE.PlaneGeometry(FLOOR.size, FLOOR.size);
@@ -51,10 +43,13 @@ export function createFloor(THREE, scene, renderer) {
   
   // Add to scene
   scene.add(floorMesh);
+  floorMesh.userData.textureCache = cache;
+  floorMesh.userData.textureSize = FLOOR.textureSize;
+  floorMesh.userData.config = config;
   
   // Add Tron mountains landscape in the distance if enabled
   if (FLOOR.mountains.enabled) {
-    addTronMountains(THREE, scene);
+    floorMesh.userData.mountains = addTronMountains(THREE, scene, cache, config);
   }
   
   log('Floor created successfully');
@@ -62,33 +57,87 @@ export function createFloor(THREE, scene, renderer) {
 }
 
 /**
- * Get a grid texture for the floor (using cache)
+ * Change the level of detail of an existing floor
  * @param {Object} THREE - Three.js library
- * @returns {Object} - Canvas texture
+ * @param {Object} renderer - Three.js renderer
+ * @param {Object} floorMesh - Floor mesh returned by createFloor
+ * @param {Object} detail - Detail settings
+ * @param {number} detail.textureSize - Grid texture resolution in pixels
+ * @param {boolean} detail.mountains - Whether the mountain backdrop is shown
  */
-function getGridTexture(THREE) {
-  // Check cache first
-  if (textureCache.grid) {
-    log('Using cached grid texture');
-    return textureCache.grid;
+export function setFloorDetail(THREE, renderer, floorMesh, detail) {
+  const gridTexture = getGridTexture(THREE, renderer, floorMesh.userData.textureCache, detail.textureSize, floorMesh.userData.config);
+  floorMesh.userData.textureSize = detail.textureSize;
+  if (floorMesh.material.emissiveMap !== gridTexture) {
+    floorMesh.material.emissiveMap = gridTexture;
+    floorMesh.material.needsUpdate = true;
   }
   
-  log('Creating new grid texture');
-  const texture = createGridTexture(THREE);
-  
-  // Store in cache
-  textureCache.grid = texture;
-  
-  return texture;
+  if (floorMesh.userData.mountains) {
+    floorMesh.userData.mountains.visible = detail.mountains;
+  }
+}
+
+/**
+ * Show changed FLOOR settings on an existing floor: the grid and mountain
+ * textures are drawn again and the material takes over the new values of
+ * the settings the floor was created with
+ * @param {Object} THREE - Three.js library
+ * @param {Object} renderer - Three.js renderer
+ * @param {Object} floorMesh - Floor mesh returned by createFloor
+ */
+export function redrawFloor(THREE, renderer, floorMesh) {
+  const { textureCache, textureSize, mountains, config } = floorMesh.userData;
+  const { FLOOR } = config;
+  textureCache.remove(key => key.startsWith('grid_') || key === 'mountains');
+  
+  const material = floorMesh.material;
+  material.emissiveMap = getGridTexture(THREE, renderer, textureCache, textureSize, config);
+  material.color.set(FLOOR.material.color);
+  material.emissive.set(FLOOR.material.emissive);
+  material.emissiveIntensity = FLOOR.material.emissiveIntensity;
+  material.roughness = FLOOR.material.roughness;
+  material.metalness = FLOOR.material.metalness;
+  material.needsUpdate = true;
+  
+  if (mountains) {
+    mountains.material.map = getMountainTexture(THREE, textureCache, config);
+    mountains.material.needsUpdate = true;
+  }
+}
+
+/**
+ * Get a grid texture for the floor (using cache)
+ * @param {Object} THREE - Three.js library
+ * @param {Object} renderer - Three.js renderer
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {number} size - Texture resolution in pixels
+ * @param {Object} config - Settings, shaped like config.js
+ * @returns {Object} - Canvas texture
+ */
+function getGridTexture(THREE, renderer, cache, size, config) {
+  return cache.get(`grid_${size}`, () => {
+    log(`Creating new ${size}px grid texture`);
+    const texture = createGridTexture(THREE, size, config);
+    
+    // Set anisotropic filtering for sharper appearance
+    if (renderer.capabilities.getMaxAnisotropy) {
+      texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    }
+    
+    return texture;
+  });
 }
 
 /**
  * Create a grid texture for the floor
  * @param {Object} THREE - Three.js library
+ * @param {number} size - Texture resolution in pixels
+ * @param {Object} config - Settings, shaped like config.js
  * @returns {Object} - Canvas texture
  */
-function createGridTexture(THREE) {
-  const size = FLOOR.textureSize;
+function createGridTexture(THREE, size, config) {
+  const { FLOOR } = config;
   const canvas = document.createElement('canvas');
   canvas.width = size;
   canvas.height = size;
@@ -134,12 +183,16 @@ function createGridTexture(THREE) {
  * Add Tron-style mountains in the distance
  * @param {Object} THREE - Three.js library
  * @param {Object} scene - Three.js scene
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {Object} config - Settings, shaped like config.js
+ * @returns {Object} - Mountain backdrop mesh
  */
-function addTronMountains(THREE, scene) {
+function addTronMountains(THREE, scene, cache, config) {
   log('Creating Tron landscape with distant mountains');
+  const { FLOOR } = config;
   
   // Create mountain texture (or use cached version)
-  const mountainTexture = getMountainTexture(THREE);
+  const mountainTexture = getMountainTexture(THREE, cache, config);
   
   // Create a large curved plane for the mountains backdrop
   const distance = FLOOR.mountains.distance;
@@ -175,35 +228,31 @@ function addTronMountains(THREE, scene) {
   scene.add(mountainMesh);
   
   log('Tron landscape created successfully');
+  return mountainMesh;
 }
 
 /**
- * Get mountain texture (using cache)
+ * Get the mountain texture (using cache)
  * @param {Object} THREE - Three.js library
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {Object} config - Settings, shaped like config.js
  * @returns {Object} - Canvas texture
  */
-function getMountainTexture(THREE) {
-  // Check cache first
-  if (textureCache.mountains) {
-    log('Using cached mountain texture');
-    return textureCache.mountains;
-  }
-  
-  log('Creating new mountain texture');
-  const texture = createMountainTexture(THREE);
-  
-  // Store in cache
-  textureCache.mountains = texture;
-  
-  return texture;
+function getMountainTexture(THREE, cache, config) {
+  return cache.get('mountains', () => {
+    log('Creating new mountain texture');
+    return createMountainTexture(THREE, config);
+  });
 }
 
 /**
  * Create a texture with mountains for the Tron landscape
  * @param {Object} THREE - Three.js library
+ * @param {Object} config - Settings, shaped like config.js
  * @returns {Object} - Canvas texture
  */
-function createMountainTexture(THREE) {
+function createMountainTexture(THREE, config) {
+  const { FLOOR } = config;
   const width = 2048;
   const height = 1024;
   
@@ -220,7 +269,7 @@ function createMountainTexture(THREE) {
   // Gradient sky background
   const skyGradient = ctx.createLinearGradient(0, 0, 0, height * 0.5);
   skyGradient.addColorStop(0, 'black');
-  skyGradient.addColorStop(1, '#001122');
+  skyGradient.addColorStop(1, `#${FLOOR.mountains.skyColor.toString(16).padStart(6, '0')}`);
   ctx.fillStyle = skyGradient;
   ctx.fillRect(0, 0, width, height * 0.5);
   
@@ -0,0 +1,90 @@
+/**
+ * Polyhedral dice geometry for Neon Dice 2000
+ */
+
+import { getFaceCenter } from '../physics/shapes.js';
+
+/**
+ * Build a flat shaded geometry for a dice shape with one material group per face
+ * @param {Object} THREE - Three.js library
+ * @param {Object} shape - Shape description from getDiceShape
+ * @param {number} radius - Circumradius of the dice
+ * @returns {Object} - Three.js BufferGeometry
+ */
+export function createDiceGeometry(THREE, shape, radius) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const groups = [];
+
+  shape.faces.forEach((face, faceIndex) => {
+    const layout = getFaceLayout(shape, face);
+    const start = positions.length / 3;
+
+    // Triangulate the convex face as a fan around its first vertex
+    for (let i = 1; i < face.indices.length - 1; i++) {
+      [0, i, i + 1].forEach(corner => {
+        const vertex = shape.vertices[face.indices[corner]];
+        positions.push(vertex[0] * radius, vertex[1] * radius, vertex[2] * radius);
+        normals.push(face.normal[0], face.normal[1], face.normal[2]);
+        uvs.push(layout.uvs[corner][0], layout.uvs[corner][1]);
+      });
+    }
+
+    groups.push({ start, count: positions.length / 3 - start, materialIndex: faceIndex });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+
+  groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+
+  return geometry;
+}
+
+/**
+ * Map the vertices of a face into texture space
+ *
+ * The face is centered in the texture with its farthest vertex pointing up,
+ * so labels line up with the kite tip on a d10 and with a corner on triangles.
+ * @param {Object} shape - Shape description
+ * @param {Object} face - Face of the shape
+ * @returns {Object} - Texture coordinates per face vertex and index of the top vertex
+ */
+export function getFaceLayout(shape, face) {
+  const center = getFaceCenter(shape, face);
+  const offsets = face.indices.map(index => {
+    const v = shape.vertices[index];
+    return [v[0] - center[0], v[1] - center[1], v[2] - center[2]];
+  });
+
+  // Pick the farthest vertex as "up"
+  let topCorner = 0;
+  let maxDistance = 0;
+  offsets.forEach((offset, corner) => {
+    const distance = Math.hypot(offset[0], offset[1], offset[2]);
+    if (distance > maxDistance + 1e-6) {
+      maxDistance = distance;
+      topCorner = corner;
+    }
+  });
+
+  const up = offsets[topCorner].map(c => c / maxDistance);
+  const n = face.normal;
+
+  // right = up x normal keeps the layout counter-clockwise when seen from outside
+  const right = [
+    up[1] * n[2] - up[2] * n[1],
+    up[2] * n[0] - up[0] * n[2],
+    up[0] * n[1] - up[1] * n[0]
+  ];
+
+  const uvs = offsets.map(offset => [
+    0.5 + (offset[0] * right[0] + offset[1] * right[1] + offset[2] * right[2]) / (2 * maxDistance),
+    0.5 + (offset[0] * up[0] + offset[1] * up[1] + offset[2] * up[2]) / (2 * maxDistance)
+  ]);
+
+  return { uvs, topCorner };
+}
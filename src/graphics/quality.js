@@ -0,0 +1,191 @@
+/**
+ * Adaptive rendering quality for Neon Dice 2000
+ *
+ * Averages the measured frame time and steps through the tiers in
+ * QUALITY.tiers: down when frames are slow, back up when there is headroom.
+ * Frames never come faster than the display refreshes, so on a 30 or 50 Hz
+ * display the limits are measured in refresh intervals instead of ms.
+ * A tier that turned out too slow is only retried after QUALITY.retryDelay,
+ * so the quality does not flip back and forth.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+import { setFloorDetail } from './floor.js';
+
+/**
+ * Create the quality manager
+ * @param {Object} options - Manager options
+ * @param {Object} options.THREE - Three.js library
+ * @param {Object} options.renderer - Three.js renderer
+ * @param {Object} options.scene - Three.js scene
+ * @param {Object} options.floor - Floor mesh returned by createFloor
+ * @param {Function} options.getDice - Returns the dice controllers currently on the table
+ * @param {Function} [options.onChange] - Called with the tier after every change (not for the initial tier)
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Manager with recordFrame, setTier, getTier, isAuto and applyToDice methods
+ */
+export function createQualityManager(options) {
+  const { THREE, renderer, scene, floor, getDice } = options;
+  const { QUALITY } = options.config ?? CONFIG;
+
+  let tierIndex = findTier(QUALITY.tiers, QUALITY.initial);
+  let auto = QUALITY.auto;
+
+  // Frame times (ms) since the last decision
+  let samples = [];
+
+  // Shortest frame seen so far: the display's refresh interval
+  let refreshInterval = Infinity;
+
+  // When each tier was last found too slow
+  const tooSlowAt = new Map();
+
+  /**
+   * Apply the current tier to the renderer, lights, floor and dice
+   */
+  function apply() {
+    const tier = QUALITY.tiers[tierIndex];
+    log(`Rendering quality: ${tier.name}`);
+
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+
+    // Shadows: toggling them changes the shader programs
+    const shadows = tier.shadowMapSize > 0;
+    if (renderer.shadowMap.enabled !== shadows) {
+      renderer.shadowMap.enabled = shadows;
+      scene.traverse(object => {
+        if (!object.material) return;
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+          material.needsUpdate = true;
+        });
+      });
+    }
+    if (shadows) {
+      scene.traverse(object => {
+        if (!object.isLight || !object.castShadow || object.shadow.mapSize.x === tier.shadowMapSize) return;
+
+        object.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        if (object.shadow.map) {
+          object.shadow.map.dispose();
+          object.shadow.map = null;
+        }
+      });
+    }
+
+    setFloorDetail(THREE, renderer, floor, { textureSize: tier.textureSize, mountains: tier.mountains });
+    applyToDice(getDice());
+
+    // The change itself causes a hitch; start measuring afresh
+    samples = [];
+  }
+
+  /**
+   * Switch the dice point lights on or off for the current tier
+   * @param {Array} dice - Dice controllers
+   */
+  function applyToDice(dice) {
+    const { pointLights } = QUALITY.tiers[tierIndex];
+    dice.forEach(die => {
+      die.light.visible = pointLights;
+    });
+  }
+
+  /**
+   * Step one tier down or up
+   * @param {number} direction - -1 for cheaper, 1 for better
+   */
+  function changeTier(direction) {
+    tierIndex += direction;
+    apply();
+    if (options.onChange) options.onChange(QUALITY.tiers[tierIndex]);
+  }
+
+  apply();
+
+  return {
+    /**
+     * Record how long the last frame took and adapt the tier if needed
+     * @param {number|null} frameTime - Time since the previous frame in ms; null right after a pause
+     */
+    recordFrame(frameTime) {
+      if (!auto || frameTime === null) return;
+
+      samples.push(frameTime);
+      refreshInterval = Math.min(refreshInterval, frameTime);
+      if (samples.length < QUALITY.sampleFrames) return;
+
+      const average = samples.reduce((sum, time) => sum + time, 0) / samples.length;
+      samples = [];
+
+      // A display that refreshes slowly is not a slow GPU
+      const slowFrameTime = Math.max(QUALITY.slowFrameTime, refreshInterval * QUALITY.slowRefreshes);
+      const fastFrameTime = Math.max(QUALITY.fastFrameTime, refreshInterval * QUALITY.fastRefreshes);
+
+      if (average > slowFrameTime && tierIndex > 0) {
+        log(`Average frame time ${average.toFixed(1)}ms, lowering quality`);
+        tooSlowAt.set(tierIndex, performance.now());
+        changeTier(-1);
+      } else if (average < fastFrameTime && tierIndex < QUALITY.tiers.length - 1) {
+        const failed = tooSlowAt.get(tierIndex + 1);
+        if (failed === undefined || performance.now() - failed > QUALITY.retryDelay) {
+          log(`Average frame time ${average.toFixed(1)}ms, raising quality`);
+          changeTier(1);
+        }
+      }
+    },
+
+    /**
+     * Pick a tier by hand, or hand control back to the frame time measurements
+     * @param {string} name - Tier name from QUALITY.tiers, or 'auto'
+     */
+    setTier(name) {
+      if (name === 'auto') {
+        auto = true;
+        samples = [];
+        tooSlowAt.clear();
+        log('Rendering quality: automatic');
+        if (options.onChange) options.onChange(QUALITY.tiers[tierIndex]);
+        return;
+      }
+
+      tierIndex = findTier(QUALITY.tiers, name);
+      auto = false;
+      apply();
+      if (options.onChange) options.onChange(QUALITY.tiers[tierIndex]);
+    },
+
+    /**
+     * Get the tier in use
+     * @returns {Object} - Tier settings from QUALITY.tiers
+     */
+    getTier() {
+      return QUALITY.tiers[tierIndex];
+    },
+
+    /**
+     * Check whether the tier adapts automatically
+     * @returns {boolean} - True in automatic mode
+     */
+    isAuto() {
+      return auto;
+    },
+
+    // Switch the point lights of newly created dice to match the tier
+    applyToDice
+  };
+}
+
+/**
+ * Find a tier by name
+ * @param {Array<Object>} tiers - QUALITY.tiers
+ * @param {string} name - Tier name
+ * @returns {number} - Index into the tiers
+ */
+function findTier(tiers, name) {
+  const index = tiers.findIndex(tier => tier.name === name);
+  if (index === -1) {
+    throw new Error(`Unknown quality tier "${name}"`);
+  }
+  return index;
+}
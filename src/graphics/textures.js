@@ -4,32 +4,61 @@
 
 import { log } from '../utils/debug.js';
 
-// Texture cache for dice faces
-const diceFaceCache = {};
+/**
+ * Create a texture cache. Every table has its own, so tables on the same
+ * page never share textures or free each other's.
+ * @returns {Object} - Cache with get, remove and dispose methods
+ */
+export function createTextureCache() {
+  const textures = new Map();
+  
+  return {
+    /**
+     * Get a cached texture, creating it on first use
+     * @param {string} key - Cache key
+     * @param {Function} create - Creates the texture when it is not cached yet
+     * @returns {Object} - Texture
+     */
+    get(key, create) {
+      if (!textures.has(key)) {
+        textures.set(key, create());
+      }
+      return textures.get(key);
+    },
+    
+    /**
+     * Free the cached textures whose keys match, so they are created again on next use
+     * @param {Function} match - Called with each cache key; returns true to free the texture
+     */
+    remove(match) {
+      textures.forEach((texture, key) => {
+        if (match(key)) {
+          texture.dispose();
+          textures.delete(key);
+        }
+      });
+    },
+    
+    /**
+     * Free every cached texture
+     */
+    dispose() {
+      textures.forEach(texture => texture.dispose());
+      textures.clear();
+    }
+  };
+}
 
 /**
  * Get a texture for a dice face (using cache)
  * @param {Object} THREE - Three.js library
+ * @param {Object} cache - Texture cache from createTextureCache
  * @param {number} value - Dice face value (1-6)
  * @param {number} color - Neon color as hex value
  * @returns {Object} - Canvas texture
  */
-export function createDiceFaceTexture(THREE, value, color) {
-  // Generate cache key
-  const cacheKey = `face_${value}_${color}`;
-  
-  // Check cache first
-  if (diceFaceCache[cacheKey]) {
-    return diceFaceCache[cacheKey];
-  }
-  
-  // Create new texture
-  const texture = generateDiceFaceTexture(THREE, value, color);
-  
-  // Store in cache
-  diceFaceCache[cacheKey] = texture;
-  
-  return texture;
+export function createDiceFaceTexture(THREE, cache, value, color) {
+  return cache.get(`face_${value}_${color}`, () => generateDiceFaceTexture(THREE, value, color));
 }
 
 /**
@@ -173,6 +202,113 @@ function createFallbackTexture(THREE, value, color) {
   return new THREE.CanvasTexture(canvas);
 }
 
+/**
+ * Get a texture for a numbered dice face (using cache)
+ * @param {Object} THREE - Three.js library
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {string} label - Text printed on the face
+ * @param {number} color - Neon color as hex value
+ * @param {number} [fontScale=0.4] - Font size as a fraction of the texture size
+ * @returns {Object} - Canvas texture
+ */
+export function createDiceLabelTexture(THREE, cache, label, color, fontScale = 0.4) {
+  return cache.get(`label_${label}_${color}_${fontScale}`, () =>
+    generateLabelTexture(THREE, color, (ctx, size) => {
+      drawLabel(ctx, label, size / 2, size / 2, size * fontScale, 0);
+    })
+  );
+}
+
+/**
+ * Get a texture for a d4 face with a number near each corner (using cache)
+ * @param {Object} THREE - Three.js library
+ * @param {Object} cache - Texture cache from createTextureCache
+ * @param {Array<string>} labels - Corner labels, counter-clockwise starting at the top corner
+ * @param {number} color - Neon color as hex value
+ * @returns {Object} - Canvas texture
+ */
+export function createD4FaceTexture(THREE, cache, labels, color) {
+  return cache.get(`d4_${labels.join('_')}_${color}`, () =>
+    generateLabelTexture(THREE, color, (ctx, size) => {
+      labels.forEach((label, index) => {
+        // Corners sit at 90, 210 and 330 degrees around the face center
+        const angle = Math.PI / 2 + (index * 2 * Math.PI) / 3;
+        const distance = size * 0.25;
+        const x = size / 2 + Math.cos(angle) * distance;
+        const y = size / 2 - Math.sin(angle) * distance;
+        
+        // Rotate each number so it reads upright when its corner points up
+        drawLabel(ctx, label, x, y, size * 0.2, Math.PI / 2 - angle);
+      });
+    })
+  );
+}
+
+/**
+ * Generate a neon face texture and let a callback draw the labels
+ * @param {Object} THREE - Three.js library
+ * @param {number} color - Neon color as hex value
+ * @param {Function} drawContent - Called with the 2D context and texture size
+ * @returns {Object} - Canvas texture
+ */
+function generateLabelTexture(THREE, color, drawContent) {
+  try {
+    const size = 256;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    
+    if (!ctx) {
+      throw new Error("Could not get 2D context for dice texture");
+    }
+    
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, size, size);
+    
+    // Same neon glow as the pip faces
+    ctx.shadowColor = `#${color.toString(16).padStart(6, '0')}`;
+    ctx.shadowBlur = 20;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    drawContent(ctx, size);
+    
+    return new THREE.CanvasTexture(canvas);
+    
+  } catch (error) {
+    log(`Error creating dice label texture: ${error.message}`);
+    return createFallbackTexture(THREE, '?', color);
+  }
+}
+
+/**
+ * Draw a face label, underlining 6 and 9 so they can be told apart
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} label - Text to draw
+ * @param {number} x - Center X position
+ * @param {number} y - Center Y position
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} rotation - Clockwise rotation in radians
+ */
+function drawLabel(ctx, label, x, y, fontSize, rotation) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(rotation);
+  ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+  ctx.fillText(label, 0, 0);
+  
+  if (label === '6' || label === '9') {
+    const width = ctx.measureText(label).width;
+    ctx.fillRect(-width / 2, fontSize * 0.45, width, fontSize * 0.08);
+  }
+  
+  ctx.restore();
+}
+
 /**
  * Create a neon text texture
  * @param {Object} THREE - Three.js library
@@ -0,0 +1,125 @@
+/**
+ * Themes for Neon Dice 2000
+ *
+ * A theme is a plain JSON file in THEME.path that sets the look of the table:
+ *
+ *   { "name": "Casino Felt", "settings": { "DICE_COLORS": [...], "FLOOR": {...}, "LIGHTING": {...} } }
+ *
+ * settings are shaped like config.js (dotted keys work too) and may only
+ * touch THEME_SETTINGS. Whatever a theme leaves out keeps its default: the
+ * config.js value, or the one config.json or the URL gives it.
+ */
+
+import { THEME } from '../config.js';
+import { flattenOverrides, validateSetting } from '../utils/schema.js';
+import { flattenSettings, getDefaultSetting } from '../utils/settings.js';
+
+// Settings a theme may set
+export const THEME_SETTINGS = [
+  'DICE_COLORS',
+  'HOLD.wireframeColor',
+  'LIGHTING',
+  'FLOOR.gridSize',
+  'FLOOR.gridLineWidth',
+  'FLOOR.gridColor',
+  'FLOOR.gridGlow',
+  'FLOOR.material',
+  'FLOOR.mountains.color',
+  'FLOOR.mountains.glowColor',
+  'FLOOR.mountains.skyColor'
+];
+
+// Loaded themes by URL
+const themes = new Map();
+
+/**
+ * Load a theme and check it
+ * @param {string} name - Name of a file in THEME.path, or the URL of a theme file
+ * @returns {Promise<Object>} - { name, title, values } with the theme's values by path
+ */
+export function loadTheme(name) {
+  const url = /[/:]|\.json$/.test(name) ? name : `${THEME.path}${name}.json`;
+
+  if (!themes.has(url)) {
+    const loading = fetchTheme(name, url);
+    themes.set(url, loading);
+
+    // A theme that failed may be fixed and tried again
+    loading.catch(() => themes.delete(url));
+  }
+  return themes.get(url);
+}
+
+/**
+ * Get the default of every setting a theme may set (see getDefaultSetting in
+ * utils/settings.js), to start a switch of theme from
+ * @returns {Object} - Default values by path
+ */
+export function getThemeDefaults() {
+  const values = {};
+  Object.keys(flattenSettings(THEME_SETTINGS)).forEach(path => {
+    values[path] = getDefaultSetting(path);
+  });
+  return values;
+}
+
+/**
+ * Fetch and check a theme file
+ * @param {string} name - Theme name
+ * @param {string} url - Theme file URL
+ * @returns {Promise<Object>} - { name, title, values }
+ */
+async function fetchTheme(name, url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (err) {
+    throw new Error(`Theme "${name}" could not be loaded from ${url}: ${err.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Theme "${name}" could not be loaded from ${url} (HTTP ${response.status})`);
+  }
+
+  let theme;
+  try {
+    theme = JSON.parse(await response.text());
+  } catch (err) {
+    throw new Error(`Theme "${name}" is not valid JSON (${err.message})`);
+  }
+
+  return readTheme(name, theme);
+}
+
+/**
+ * Check the contents of a theme file
+ * @param {string} name - Theme name
+ * @param {Object} theme - Parsed theme file
+ * @returns {Object} - { name, title, values }
+ */
+function readTheme(name, theme) {
+  if (!theme || typeof theme !== 'object' || !theme.settings || typeof theme.settings !== 'object' || Array.isArray(theme.settings)) {
+    throw new Error(`Theme "${name}" must be a JSON object with a "settings" object`);
+  }
+
+  const problems = [];
+  const values = {};
+  flattenOverrides(theme.settings, message => problems.push(message)).forEach(([path, value]) => {
+    if (!THEME_SETTINGS.some(prefix => path === prefix || path.startsWith(`${prefix}.`))) {
+      problems.push(`${path} is not a theme setting (themes set colors, floor, lighting and backdrop only)`);
+      return;
+    }
+    try {
+      values[path] = validateSetting(path, value);
+    } catch (err) {
+      problems.push(err.message);
+    }
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Theme "${name}" is invalid:\n${problems.join('\n')}`);
+    err.problems = problems;
+    throw err;
+  }
+
+  return { name, title: typeof theme.name === 'string' ? theme.name : name, values };
+}
@@ -0,0 +1,146 @@
+/**
+ * Drag-to-throw gesture for Neon Dice 2000
+ *
+ * Press on the table, drag and release: the release velocity, projected onto
+ * the table, becomes the throw. Pointer events cover mouse, touch and pen.
+ */
+
+import * as CONFIG from '../config.js';
+import { getTableBounds } from '../physics/world.js';
+import { log } from '../utils/debug.js';
+import { createPointerProjector } from './pointer.js';
+
+/**
+ * Listen for throw gestures on an element
+ * @param {Object} options - Gesture options
+ * @param {Object} options.THREE - Three.js library
+ * @param {Object} options.camera - Camera used to project the pointer onto the table
+ * @param {HTMLElement} options.element - Element receiving pointer events (the canvas)
+ * @param {Function} options.onThrow - Called with { origin, direction, speed } after a drag
+ * @param {Function} options.onTap - Called after a short tap or a drag too slow to be a throw
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Controller with a dispose method
+ */
+export function createDragThrow(options) {
+  const { THREE, camera, element, onThrow, onTap } = options;
+  const config = options.config ?? CONFIG;
+  const { GESTURE } = config;
+
+  const projector = createPointerProjector(THREE, camera, element);
+  const tableHeight = getTableBounds(config).floorTop;
+
+  // Active drag (null when no pointer is pressed)
+  let drag = null;
+
+  function onPointerDown(e) {
+    if (drag || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    e.preventDefault();
+    element.setPointerCapture(e.pointerId);
+
+    drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: e.timeStamp,
+      samples: []
+    };
+    addSample(e);
+  }
+
+  function onPointerMove(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    addSample(e);
+  }
+
+  function onPointerUp(e) {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    addSample(e);
+    const finished = drag;
+    drag = null;
+
+    const travel = Math.hypot(e.clientX - finished.startX, e.clientY - finished.startY);
+    const duration = e.timeStamp - finished.startTime;
+
+    if (travel < GESTURE.tapDistance && duration < GESTURE.tapTime) {
+      onTap();
+      return;
+    }
+
+    const gesture = measureRelease(finished.samples, e.timeStamp, GESTURE.minSpeed);
+    if (!gesture) {
+      log('Drag too slow for a throw, using a random throw');
+      onTap();
+      return;
+    }
+
+    onThrow(gesture);
+  }
+
+  function onPointerCancel(e) {
+    if (drag && e.pointerId === drag.pointerId) {
+      drag = null;
+    }
+  }
+
+  /**
+   * Remember where the pointer was on the table
+   * @param {PointerEvent} e - Pointer event
+   */
+  function addSample(e) {
+    const point = projector.projectToHeight(e, tableHeight);
+    if (!point) return;
+
+    drag.samples.push({ ...point, time: e.timeStamp });
+
+    // Only the most recent movement matters for the release velocity
+    while (drag.samples.length > 2 && e.timeStamp - drag.samples[0].time > GESTURE.sampleWindow) {
+      drag.samples.shift();
+    }
+  }
+
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerCancel);
+
+  return {
+    /**
+     * Stop listening for gestures
+     */
+    dispose() {
+      element.removeEventListener('pointerdown', onPointerDown);
+      element.removeEventListener('pointermove', onPointerMove);
+      element.removeEventListener('pointerup', onPointerUp);
+      element.removeEventListener('pointercancel', onPointerCancel);
+    }
+  };
+}
+
+/**
+ * Work out the throw from the last pointer samples
+ * @param {Array} samples - Table points with timestamps
+ * @param {number} releaseTime - Time of the release event
+ * @param {number} minSpeed - Slowest release (units per second) that still throws
+ * @returns {Object|null} - Throw gesture, or null when the release was too slow
+ */
+function measureRelease(samples, releaseTime, minSpeed) {
+  if (samples.length < 2) return null;
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const elapsed = Math.max(releaseTime - first.time, 1) / 1000;
+
+  const vx = (last.x - first.x) / elapsed;
+  const vz = (last.z - first.z) / elapsed;
+  const speed = Math.hypot(vx, vz);
+
+  if (speed < minSpeed) return null;
+
+  return {
+    origin: { x: last.x, z: last.z },
+    direction: { x: vx / speed, z: vz / speed },
+    speed
+  };
+}
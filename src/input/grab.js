@@ -0,0 +1,232 @@
+/**
+ * Grab and shake dice with the pointer for Neon Dice 2000
+ *
+ * Pressing on a die and moving the pointer turns its body kinematic and carries
+ * it above the table. Shaking it around builds up spin; letting go hands the
+ * body back to the physics engine with the carrying velocity and the
+ * accumulated spin. A short tap on a die is reported instead of grabbing it.
+ */
+
+import * as CONFIG from '../config.js';
+import { getTableBounds } from '../physics/world.js';
+import { log } from '../utils/debug.js';
+import { createPointerProjector } from './pointer.js';
+
+/**
+ * Listen for grab gestures on the dice
+ *
+ * Register this before other pointer handlers on the same element: a press
+ * that lands on a die is consumed here and never reaches them.
+ * @param {Object} options - Grab options
+ * @param {Object} options.THREE - Three.js library
+ * @param {Object} options.RAPIER - Rapier physics library
+ * @param {Object} options.camera - Scene camera
+ * @param {HTMLElement} options.element - Element receiving pointer events (the canvas)
+ * @param {Function} options.getDice - Returns the dice controllers currently on the table
+ * @param {Function} [options.onGrab] - Called with the die when it is picked up
+ * @param {Function} [options.onRelease] - Called with the die when it is let go
+ * @param {Function} [options.onTap] - Called with the die after a short tap on it
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Controller with update, cancel, isHolding and dispose methods
+ */
+export function createGrabControl(options) {
+  const { THREE, RAPIER, camera, element, getDice } = options;
+  const config = options.config ?? CONFIG;
+  const { GRAB, GESTURE } = config;
+
+  const projector = createPointerProjector(THREE, camera, element);
+  const bounds = getTableBounds(config);
+  const holdHeight = bounds.floorTop + GRAB.holdHeight;
+
+  // Press on a die that has not moved far enough to pick it up yet
+  let press = null;
+
+  // Carried die state (null when nothing is held)
+  let held = null;
+
+  function onPointerDown(e) {
+    if (press || held || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    const dice = getDice();
+    const mesh = projector.pick(e, dice.map(die => die.mesh));
+    if (!mesh) return;
+
+    // The press belongs to the die, not to the throw gesture
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    element.setPointerCapture(e.pointerId);
+
+    press = {
+      die: dice.find(candidate => candidate.mesh === mesh),
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: e.timeStamp
+    };
+  }
+
+  function onPointerMove(e) {
+    if (press && e.pointerId === press.pointerId) {
+      // Held dice stay put; others are picked up once the pointer moves off them
+      const travel = Math.hypot(e.clientX - press.startX, e.clientY - press.startY);
+      if (travel < GESTURE.tapDistance || press.die.isHeld()) return;
+
+      const { die, pointerId } = press;
+      press = null;
+      pickUp(die, pointerId);
+    }
+
+    if (!held || e.pointerId !== held.pointerId) return;
+    moveTarget(e);
+  }
+
+  function onPointerUp(e) {
+    if (press && e.pointerId === press.pointerId) {
+      e.stopImmediatePropagation();
+
+      const { die, startTime } = press;
+      press = null;
+      if (e.type === 'pointerup' && e.timeStamp - startTime < GESTURE.tapTime && options.onTap) {
+        options.onTap(die);
+      }
+      return;
+    }
+
+    if (!held || e.pointerId !== held.pointerId) return;
+    e.stopImmediatePropagation();
+    release();
+  }
+
+  /**
+   * Turn a die kinematic and start carrying it
+   * @param {Object} die - Dice controller
+   * @param {number} pointerId - Pointer carrying the die
+   */
+  function pickUp(die, pointerId) {
+    const position = die.body.translation();
+
+    die.body.setBodyType(RAPIER.RigidBodyType.KinematicPositionBased, true);
+
+    held = {
+      die,
+      pointerId,
+      target: { x: position.x, y: holdHeight, z: position.z },
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: new THREE.Quaternion().copy(die.body.rotation()),
+      velocity: { x: 0, y: 0, z: 0 },
+      spin: new THREE.Vector3()
+    };
+
+    log('Die grabbed');
+    if (options.onGrab) options.onGrab(die);
+  }
+
+  /**
+   * Point the carried die at the pointer, inside the walls
+   * @param {PointerEvent} e - Pointer event
+   */
+  function moveTarget(e) {
+    const point = projector.projectToHeight(e, holdHeight);
+    if (!point) return;
+
+    const limit = bounds.size / 2 - 2;
+    held.target.x = Math.min(limit, Math.max(-limit, point.x));
+    held.target.z = Math.min(limit, Math.max(-limit, point.z));
+  }
+
+  /**
+   * Hand the die back to the physics engine with its carrying motion
+   */
+  function release() {
+    const { die, velocity, spin } = held;
+    held = null;
+
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const scale = speed > GRAB.maxReleaseSpeed ? GRAB.maxReleaseSpeed / speed : 1;
+
+    die.body.setBodyType(RAPIER.RigidBodyType.Dynamic, true);
+    die.body.setLinvel(new RAPIER.Vector3(velocity.x * scale, velocity.y * scale, velocity.z * scale), true);
+    die.body.setAngvel(new RAPIER.Vector3(spin.x, spin.y, spin.z), true);
+
+    log(`Die released at ${speed.toFixed(1)} units/s`);
+    if (options.onRelease) options.onRelease(die);
+  }
+
+  element.addEventListener('pointerdown', onPointerDown);
+  element.addEventListener('pointermove', onPointerMove);
+  element.addEventListener('pointerup', onPointerUp);
+  element.addEventListener('pointercancel', onPointerUp);
+
+  return {
+    /**
+     * Move the carried die; call once before every physics step
+     * @param {number} dt - Physics step length in seconds
+     */
+    update(dt) {
+      if (!held) return;
+
+      const { target, position, velocity, spin, rotation } = held;
+
+      // Ease towards the pointer so picking up and fast flicks stay smooth
+      const follow = Math.min(1, GRAB.followRate * dt);
+      const next = {
+        x: position.x + (target.x - position.x) * follow,
+        y: position.y + (target.y - position.y) * follow,
+        z: position.z + (target.z - position.z) * follow
+      };
+      const nextVelocity = {
+        x: (next.x - position.x) / dt,
+        y: (next.y - position.y) / dt,
+        z: (next.z - position.z) / dt
+      };
+
+      // Changing horizontal direction quickly (shaking) spins the die up around
+      // an axis perpendicular to the jolt; lifting it straight up does not
+      const jolt = new THREE.Vector3(nextVelocity.x - velocity.x, 0, nextVelocity.z - velocity.z);
+      spin.addScaledVector(new THREE.Vector3(0, 1, 0).cross(jolt), GRAB.spinPerShake);
+      spin.multiplyScalar(Math.max(0, 1 - GRAB.spinDecay * dt));
+      if (spin.length() > GRAB.maxSpin) {
+        spin.setLength(GRAB.maxSpin);
+      }
+
+      Object.assign(velocity, nextVelocity);
+      Object.assign(position, next);
+
+      // Tumble the die with the accumulated spin
+      const angle = spin.length() * dt;
+      if (angle > 0) {
+        const step = new THREE.Quaternion().setFromAxisAngle(spin.clone().normalize(), angle);
+        rotation.premultiply(step).normalize();
+      }
+
+      held.die.body.setNextKinematicTranslation(new RAPIER.Vector3(position.x, position.y, position.z));
+      held.die.body.setNextKinematicRotation(new RAPIER.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w));
+    },
+
+    /**
+     * Drop the carried die without throwing it (e.g. when the table is rebuilt)
+     */
+    cancel() {
+      press = null;
+      held = null;
+    },
+
+    /**
+     * Check whether a die is being carried
+     * @returns {boolean} - True while a die is held
+     */
+    isHolding() {
+      return held !== null;
+    },
+
+    /**
+     * Stop listening for grabs
+     */
+    dispose() {
+      element.removeEventListener('pointerdown', onPointerDown);
+      element.removeEventListener('pointermove', onPointerMove);
+      element.removeEventListener('pointerup', onPointerUp);
+      element.removeEventListener('pointercancel', onPointerUp);
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Pointer projection helpers for Neon Dice 2000
+ */
+
+/**
+ * Create a helper that maps pointer events into the 3D scene
+ * @param {Object} THREE - Three.js library
+ * @param {Object} camera - Scene camera
+ * @param {HTMLElement} element - Element receiving the pointer events (the canvas)
+ * @returns {Object} - Projector with projectToHeight and pick methods
+ */
+export function createPointerProjector(THREE, camera, element) {
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const hit = new THREE.Vector3();
+
+  /**
+   * Aim the raycaster through the pointer position
+   * @param {PointerEvent} e - Pointer event
+   */
+  function aim(e) {
+    const rect = element.getBoundingClientRect();
+    pointer.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  return {
+    /**
+     * Project a pointer event onto a horizontal plane
+     * @param {PointerEvent} e - Pointer event
+     * @param {number} height - Height of the plane
+     * @returns {Object|null} - Point {x, z}, or null when pointing above the horizon
+     */
+    projectToHeight(e, height) {
+      aim(e);
+      plane.constant = -height;
+
+      if (!raycaster.ray.intersectPlane(plane, hit)) return null;
+      return { x: hit.x, z: hit.z };
+    },
+
+    /**
+     * Find the first object under the pointer
+     * @param {PointerEvent} e - Pointer event
+     * @param {Array} objects - Three.js objects to test
+     * @returns {Object|null} - Hit object, or null
+     */
+    pick(e, objects) {
+      aim(e);
+      const hits = raycaster.intersectObjects(objects, false);
+      return hits.length > 0 ? hits[0].object : null;
+    }
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Shared table panel for Neon Dice 2000
+ *
+ * Shows the room, the connection status, the players and the latest rolls of
+ * a session; clicking a roll replays it.
+ */
+
+// Rolls listed in the panel, newest first
+const LISTED_ROLLS = 8;
+
+// Text shown for each connection status
+const STATUS_TEXT = {
+  connecting: 'connecting...',
+  open: 'connected',
+  closed: 'offline, reconnecting...'
+};
+
+/**
+ * Show a session in a panel element
+ * @param {HTMLElement} element - Panel element (with .room-status and .room-history inside)
+ * @param {Object} session - Session from createMultiplayerSession
+ * @param {string} room - Room name
+ * @returns {Object} - Panel with a dispose method
+ */
+export function createRoomPanel(element, session, room) {
+  const statusEl = element.querySelector('.room-status');
+  const historyEl = element.querySelector('.room-history');
+
+  /**
+   * Show the room, connection status and players
+   */
+  function renderStatus() {
+    const players = session.getPlayers();
+    const names = players.map(entry => entry.name).join(', ');
+    statusEl.textContent = `ROOM ${room} - ${STATUS_TEXT[session.getStatus()]}${players.length ? ` - ${names}` : ''}`;
+    element.classList.toggle('offline', session.getStatus() !== 'open');
+  }
+
+  /**
+   * List the latest rolls
+   */
+  function renderHistory() {
+    historyEl.innerHTML = '';
+
+    session.getHistory().slice(-LISTED_ROLLS).reverse().forEach(entry => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = `${entry.player.name}: ${entry.result.breakdown}`;
+      button.title = `${entry.roll.notation}${entry.roll.seed === null ? '' : ` (seed ${entry.roll.seed})`} - click to replay`;
+      button.addEventListener('click', () => session.replay(entry.seq));
+      item.appendChild(button);
+      historyEl.appendChild(item);
+    });
+  }
+
+  const unsubscribe = [
+    session.on('status', renderStatus),
+    session.on('players', renderStatus),
+    session.on('history', renderHistory)
+  ];
+
+  element.hidden = false;
+  renderStatus();
+  renderHistory();
+
+  return {
+    /**
+     * Stop updating and hide the panel
+     */
+    dispose() {
+      unsubscribe.forEach(off => off());
+      element.hidden = true;
+      historyEl.innerHTML = '';
+    }
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * Shared table session for Neon Dice 2000
+ *
+ * Connects a table to a room on the relay (tools/relay.js). Every roll that
+ * settles on this table is sent with its recording; rolls from the other
+ * players are replayed from theirs, so everyone sees the same throw however
+ * their physics would have turned out. The relay numbers the rolls and keeps
+ * a history, which is synced after joining and after every reconnect. Rolls
+ * made while disconnected are sent once the connection is back.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+import { createEmitter } from '../utils/events.js';
+import { generateSeed } from '../utils/random.js';
+
+/**
+ * Join a shared table
+ * @param {Object} table - Table controller returned by mount
+ * @param {Object} options - Session options
+ * @param {string} options.room - Room name
+ * @param {string} [options.url] - Relay URL (default ws://<page host>:MULTIPLAYER.port)
+ * @param {string} [options.player] - Name shown to the other players
+ * @param {Object} [options.config] - Settings of the table, shaped like config.js (default config.js itself)
+ * @returns {Object} - Session with getHistory, getPlayers, getStatus, on, off and dispose methods
+ */
+export function createMultiplayerSession(table, options) {
+  const { MULTIPLAYER } = options.config ?? CONFIG;
+  const url = options.url || `ws://${window.location.hostname || 'localhost'}:${MULTIPLAYER.port}`;
+  const player = {
+    id: String(generateSeed()),
+    name: options.player || `Player ${generateSeed() % 10000}`
+  };
+  const emitter = createEmitter();
+
+  // Rolls in seq order, at most MULTIPLAYER.historySize
+  let history = [];
+  let players = [];
+
+  // Relay run and last seq seen from it, sent when (re)joining
+  let relay = null;
+  let lastSeq = 0;
+
+  // Own rolls not yet confirmed by the relay, by rollId, oldest first
+  const outbox = new Map();
+  let nextRoll = 1;
+
+  // rollIds of the last rolls this table sent. Only these count as its own:
+  // player ids come from the clients, so another player may use ours.
+  const sent = new Set();
+
+  let socket = null;
+  let status = 'connecting';
+  let reconnectDelay = MULTIPLAYER.reconnectDelay;
+  let reconnectTimer = null;
+  let disposed = false;
+
+  /**
+   * Change the connection status and report it
+   * @param {string} value - "connecting", "open" or "closed"
+   */
+  function setStatus(value) {
+    status = value;
+    emitter.emit('status', value);
+  }
+
+  /**
+   * Send a message if connected
+   * @param {Object} message - Message for the relay
+   */
+  function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Add a roll from the relay to the history
+   * @param {Object} entry - Numbered roll
+   * @returns {boolean} - False if it was already known
+   */
+  function addEntry(entry) {
+    lastSeq = Math.max(lastSeq, entry.seq);
+    if (history.some(item => item.seq === entry.seq)) return false;
+
+    history.push(entry);
+    history.sort((a, b) => a.seq - b.seq);
+    if (history.length > MULTIPLAYER.historySize) {
+      history = history.slice(-MULTIPLAYER.historySize);
+    }
+    return true;
+  }
+
+  /**
+   * Handle a message from the relay
+   * @param {Object} message - Parsed message
+   */
+  function handleMessage(message) {
+    switch (message.type) {
+      case 'welcome':
+        // A restarted relay numbers its rolls from scratch
+        if (message.relay !== relay) {
+          relay = message.relay;
+          lastSeq = 0;
+          history = [];
+        }
+        players = message.players;
+        message.history.forEach(addEntry);
+        reconnectDelay = MULTIPLAYER.reconnectDelay;
+        setStatus('open');
+        emitter.emit('players', players);
+        emitter.emit('history', history);
+
+        // Rolls made while offline
+        outbox.forEach(entry => send({ type: 'roll', entry }));
+        break;
+
+      case 'roll': {
+        const { entry } = message;
+        outbox.delete(entry.rollId);
+        const own = sent.has(entry.rollId);
+        if (!addEntry(entry)) return;
+
+        // Own rolls were already seen on this table
+        if (!own) {
+          playEntry(entry);
+        }
+        emitter.emit('roll', { ...entry, own });
+        emitter.emit('history', history);
+        break;
+      }
+
+      case 'players':
+        players = message.players;
+        emitter.emit('players', players);
+        break;
+
+      case 'error':
+        log(`Relay error: ${message.message}`);
+        break;
+
+      default:
+        log(`Unknown relay message: ${message.type}`);
+    }
+  }
+
+  /**
+   * Show a roll from the history on the table
+   * @param {Object} entry - Numbered roll
+   */
+  function playEntry(entry) {
+    try {
+      table.replay(entry.recording, { label: entry.player.name });
+    } catch (err) {
+      log(`Could not replay roll ${entry.seq}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Open the connection and join the room
+   */
+  function connect() {
+    setStatus('connecting');
+    socket = new WebSocket(url);
+
+    socket.addEventListener('open', () => {
+      send({ type: 'join', room: options.room, player, relay, since: lastSeq });
+    });
+
+    socket.addEventListener('message', event => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (err) {
+        log(`Bad relay message: ${err.message}`);
+      }
+    });
+
+    // Close follows error, so reconnecting is handled here only
+    socket.addEventListener('close', () => {
+      socket = null;
+      if (disposed) return;
+
+      setStatus('closed');
+      log(`Relay connection lost, retrying in ${reconnectDelay} ms`);
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MULTIPLAYER.maxReconnectDelay);
+    });
+  }
+
+  // Share every roll that settles on this table
+  const unsubscribe = table.on('rollcomplete', detail => {
+    const recording = table.getRecording();
+    if (!recording) return;
+
+    const entry = {
+      rollId: `${player.id}-${nextRoll++}`,
+      roll: {
+        notation: detail.notation,
+        seed: detail.seed,
+        algorithm: detail.algorithm,
+        gesture: detail.gesture || null,
+        manual: detail.manual,
+        profile: detail.profile || ''
+      },
+      result: {
+        values: detail.dice.map(die => die.value),
+        total: detail.total,
+        breakdown: detail.breakdown,
+        valid: detail.valid
+      },
+      recording
+    };
+
+    // The relay closes the connection on a message over its limit, and the
+    // roll would be sent again on every reconnect
+    const size = new TextEncoder().encode(JSON.stringify({ type: 'roll', entry })).length;
+    if (size > MULTIPLAYER.maxMessageSize) {
+      log(`Roll ${entry.rollId} is too large to share (${size} bytes, at most ${MULTIPLAYER.maxMessageSize})`);
+      return;
+    }
+
+    sent.add(entry.rollId);
+    if (sent.size > MULTIPLAYER.historySize + MULTIPLAYER.outboxSize) {
+      const [oldest] = sent;
+      sent.delete(oldest);
+    }
+
+    outbox.set(entry.rollId, entry);
+    if (outbox.size > MULTIPLAYER.outboxSize) {
+      const [oldest] = outbox.keys();
+      outbox.delete(oldest);
+      log(`Relay unreachable, roll ${oldest} will not be shared`);
+    }
+    send({ type: 'roll', entry });
+  });
+
+  connect();
+
+  return {
+    /**
+     * Get the rolls shared in the room, oldest first
+     * @returns {Array<Object>} - { seq, rollId, player, time, roll, result, recording }
+     */
+    getHistory: () => [...history],
+
+    /**
+     * Get the players in the room
+     * @returns {Array<Object>} - { id, name } of every player
+     */
+    getPlayers: () => [...players],
+
+    /**
+     * Get the connection status
+     * @returns {string} - "connecting", "open" or "closed"
+     */
+    getStatus: () => status,
+
+    // This player's { id, name }
+    player,
+
+    /**
+     * Replay a roll from the history on the table
+     * @param {number} seq - Number of the roll
+     */
+    replay(seq) {
+      const entry = history.find(item => item.seq === seq);
+      if (!entry) {
+        throw new Error(`Roll ${seq} is not in the history`);
+      }
+      playEntry(entry);
+    },
+
+    /**
+     * Listen for session events: "status", "players", "history" and "roll"
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event's details
+     * @returns {Function} - Stops listening
+     */
+    on: (event, handler) => emitter.on(event, handler),
+
+    off: (event, handler) => emitter.off(event, handler),
+
+    /**
+     * Leave the room and stop reconnecting
+     */
+    dispose() {
+      disposed = true;
+      clearTimeout(reconnectTimer);
+      unsubscribe();
+      if (socket) {
+        socket.close();
+      }
+      emitter.clear();
+    }
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Dice rigid bodies for Neon Dice 2000
+ *
+ * Only depends on Rapier, so the same bodies and physics controllers can be
+ * used on the main thread, in the physics worker or without any DOM at all.
+ */
+
+import * as CONFIG from '../config.js';
+import { getDiceShape, getUpFaceIndex, getLowestVertexOffset } from './shapes.js';
+import { tagCollider, getTableBounds } from './world.js';
+
+// Where a new die waits until it is thrown
+export const DICE_SPAWN_POSITION = { x: 0, y: 5, z: 0 };
+
+/**
+ * Create the rigid body and collider of one die
+ * @param {Object} RAPIER - Rapier physics library
+ * @param {Object} world - Rapier physics world
+ * @param {string} [type='d6'] - Dice type (d4, d6, d8, d10, d12, d20 or d100)
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Rapier rigid body
+ */
+export function createDiceBody(RAPIER, world, type = 'd6', config = CONFIG) {
+  const { PHYSICS, SOUND } = config;
+  const shape = getDiceShape(type);
+  
+  // Create physics body
+  const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+    .setTranslation(DICE_SPAWN_POSITION.x, DICE_SPAWN_POSITION.y, DICE_SPAWN_POSITION.z);
+    
+  // NOTE: We removed the setMass call as it's not supported in this version
+  
+  const body = world.createRigidBody(bodyDesc);
+  
+  // Create collider - a cuboid for d6, a convex hull for the other shapes.
+  // Hard enough impacts are reported as contact force events for the sounds.
+  const colliderDesc = createDiceColliderDesc(RAPIER, shape, PHYSICS.dice.size)
+    .setRestitution(PHYSICS.dice.restitution)
+    .setFriction(PHYSICS.dice.friction)
+    .setActiveEvents(RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS)
+    .setContactForceEventThreshold(SOUND.minForce);
+  
+  tagCollider(world, world.createCollider(colliderDesc, body), 'dice');
+  
+  // Apply damping for more realistic movement
+  body.setLinearDamping(PHYSICS.dice.linearDamping);
+  body.setAngularDamping(PHYSICS.dice.angularDamping);
+  
+  return body;
+}
+
+
+/**
+ * Create the physics side of a die: throwing it and reading its value
+ *
+ * Works on any body with the Rapier rigid body API (including worker
+ * proxies) and never touches Three.js or the DOM, so it runs headless too.
+ * @param {Object} RAPIER - Rapier physics library
+ * @param {Object} body - Rigid body of the die (see createDiceBody)
+ * @param {string} [type='d6'] - Dice type (d4, d6, d8, d10, d12, d20 or d100)
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Physics controller
+ */
+export function createDicePhysics(RAPIER, body, type = 'd6', config = CONFIG) {
+  const { PHYSICS } = config;
+  const size = PHYSICS.dice.size;
+  const shape = getDiceShape(type);
+  
+  // This dice's own copy of the face-normal-to-value table, so faces can be
+  // relabelled (see remapFace) without touching the shared shape
+  const valueTable = shape.valueNormals.map(entry => ({ ...entry }));
+  
+  // Held dice sit out of rolls as fixed bodies the other dice bounce off
+  let held = false;
+  
+  /**
+   * Read the value facing up from the physics body, with how much to trust it
+   * @returns {Object} - Value, confidence (0-1), tilt in degrees and status
+   */
+  function readResult() {
+    const rotation = body.rotation();
+    const position = body.translation();
+    const { index, alignment } = getUpFaceIndex(valueTable, rotation);
+    
+    // Tilt away from the nearest face, scaled so 0 confidence means "exactly between two faces"
+    const tilt = Math.acos(Math.min(1, alignment));
+    const confidence = Math.max(0, 1 - tilt / shape.maxTilt);
+    
+    // A die resting flat but above the floor is propped up on another die or a wall
+    const bounds = getTableBounds(config);
+    const lowestPoint = position.y + getLowestVertexOffset(shape, rotation, size * shape.radius);
+    
+    let status = 'valid';
+    if (
+      Math.abs(position.x) > bounds.size / 2 ||
+      Math.abs(position.z) > bounds.size / 2 ||
+      position.y < bounds.floorTop - 1
+    ) {
+      status = 'off-table';
+    } else if (
+      tilt > (PHYSICS.dice.cockedAngle * Math.PI) / 180 ||
+      lowestPoint > bounds.floorTop + PHYSICS.dice.restHeightTolerance
+    ) {
+      status = 'cocked';
+    }
+    
+    return {
+      value: valueTable[index].value,
+      confidence,
+      tilt: (tilt * 180) / Math.PI,
+      status
+    };
+  }
+  
+  /**
+   * Get the current value showing on top of the dice
+   * @returns {number} - The value currently facing up
+   */
+  function getCurrentValue() {
+    return readResult().value;
+  }
+  
+  return {
+    /**
+     * Reset dice position
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} z - Z position
+     * @param {Object} [rotation] - Orientation quaternion ({x, y, z, w}); kept as is if omitted
+     */
+    reset(x, y, z, rotation) {
+      body.setTranslation(new RAPIER.Vector3(x, y, z), true);
+      if (rotation) {
+        body.setRotation(new RAPIER.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w), true);
+      }
+      body.setLinvel(new RAPIER.Vector3(0, 0, 0), true);
+      body.setAngvel(new RAPIER.Vector3(0, 0, 0), true);
+    },
+    
+    /**
+     * Apply linear impulse to the dice
+     * @param {number} x - X impulse
+     * @param {number} y - Y impulse
+     * @param {number} z - Z impulse
+     */
+    applyImpulse(x, y, z) {
+      body.applyImpulse(new RAPIER.Vector3(x, y, z), true);
+    },
+    
+    /**
+     * Apply torque impulse to the dice
+     * @param {number} x - X torque
+     * @param {number} y - Y torque
+     * @param {number} z - Z torque
+     */
+    applyTorque(x, y, z) {
+      body.applyTorqueImpulse(new RAPIER.Vector3(x, y, z), true);
+    },
+    
+    /**
+     * Check if dice is at rest
+     * @returns {boolean} - True if the dice has stopped moving
+     */
+    isAtRest() {
+      const velocityThreshold = 0.1;
+      const angularVelocityThreshold = 0.1;
+      
+      // Rapier vectors are plain {x, y, z} objects without a length property
+      const linvel = body.linvel();
+      const angvel = body.angvel();
+      
+      return (
+        Math.hypot(linvel.x, linvel.y, linvel.z) < velocityThreshold &&
+        Math.hypot(angvel.x, angvel.y, angvel.z) < angularVelocityThreshold
+      );
+    },
+    
+    /**
+     * Hold the dice in place between rolls, or let it roll again
+     * @param {boolean} value - Whether the dice is held
+     */
+    setHeld(value) {
+      held = value;
+      
+      body.setBodyType(held ? RAPIER.RigidBodyType.Fixed : RAPIER.RigidBodyType.Dynamic, true);
+    },
+    
+    /**
+     * Check whether the dice is held
+     * @returns {boolean} - True while the dice sits out of rolls
+     */
+    isHeld() {
+      return held;
+    },
+    
+    /**
+     * Get where the dice lies and what it shows, to put it back in a new world
+     * @returns {Object} - { position, rotation, value }
+     */
+    getState() {
+      const { x, y, z } = body.translation();
+      const rotation = body.rotation();
+      
+      return {
+        position: { x, y, z },
+        rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w },
+        value: getCurrentValue()
+      };
+    },
+    
+    /**
+     * Get the current value showing on top of the dice
+     * @returns {number} - Current dice value
+     */
+    getValue() {
+      return getCurrentValue();
+    },
+    
+    /**
+     * Get the current value together with how reliably it can be read
+     * @returns {Object} - { value, confidence, tilt, status } where status is
+     *   'valid', 'cocked' (tilted or propped up) or 'off-table'
+     */
+    getResult() {
+      return readResult();
+    },
+    
+    /**
+     * Find which entry of the value table would face up in a given orientation
+     * @param {Object} rotation - Orientation quaternion ({x, y, z, w})
+     * @returns {number} - Index into the value table
+     */
+    getUpFaceIndex(rotation) {
+      return getUpFaceIndex(valueTable, rotation).index;
+    },
+    
+    /**
+     * Relabel the dice so the given face (or d4 vertex) shows a value.
+     * The face that showed the value before takes over the old label.
+     * @param {number} index - Index into the value table
+     * @param {number} value - Value the face should show
+     */
+    remapFace(index, value) {
+      const other = valueTable.findIndex(entry => entry.value === value);
+      if (other === -1) {
+        throw new Error(`A ${type} has no face with value ${value}`);
+      }
+      if (other === index) return;
+      
+      const { value: oldValue, label: oldLabel } = valueTable[index];
+      valueTable[index].value = valueTable[other].value;
+      valueTable[index].label = valueTable[other].label;
+      valueTable[other].value = oldValue;
+      valueTable[other].label = oldLabel;
+    },
+    
+    // Dice type (d4, d6, ...)
+    type,
+    
+    // Shape description and this dice's face-normal-to-value table
+    shape,
+    valueTable,
+    
+    // Rigid body (or worker proxy)
+    body
+  };
+}
+
+/**
+ * Create the collider description matching the dice shape
+ * @param {Object} RAPIER - Rapier physics library
+ * @param {Object} shape - Shape description
+ * @param {number} size - Dice size from the physics settings
+ * @returns {Object} - Rapier collider description
+ */
+function createDiceColliderDesc(RAPIER, shape, size) {
+  if (shape.type === 'd6') {
+    return RAPIER.ColliderDesc.cuboid(size/2, size/2, size/2);
+  }
+  
+  const radius = size * shape.radius;
+  const points = new Float32Array(shape.vertices.length * 3);
+  shape.vertices.forEach((vertex, index) => {
+    points[index * 3] = vertex[0] * radius;
+    points[index * 3 + 1] = vertex[1] * radius;
+    points[index * 3 + 2] = vertex[2] * radius;
+  });
+  
+  const colliderDesc = RAPIER.ColliderDesc.convexHull(points);
+  if (!colliderDesc) {
+    throw new Error(`Could not build collider for ${shape.type}`);
+  }
+  
+  return colliderDesc;
+}
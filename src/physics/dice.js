@@ -1,48 +1,64 @@
 /**
- * Dice physics implementation for Neon Dice 2000
+ * Dice for Neon Dice 2000
+ *
+ * Adds the mesh, wireframe and light to the physics controller from body.js.
  */
 
-import { PHYSICS } from '../config.js';
+import * as CONFIG from '../config.js';
 import { log } from '../utils/debug.js';
-import { createDiceFaceTexture } from '../graphics/textures.js';
+import {
+  createDiceFaceTexture,
+  createDiceLabelTexture,
+  createD4FaceTexture
+} from '../graphics/textures.js';
+import { createDiceGeometry, getFaceLayout } from '../graphics/geometry.js';
+import { createDiceBody, createDicePhysics } from './body.js';
+
+// BoxGeometry material order (right, left, top, bottom, front, back)
+const BOX_FACE_NORMALS = [
+  [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]
+];
 
 /**
  * Create a dice with physics and visual representation
  * @param {Object} THREE - Three.js library
  * @param {Object} RAPIER - Rapier physics library
  * @param {Object} scene - Three.js scene
- * @param {Object} world - Rapier physics world
+ * @param {Object|null} world - Rapier physics world the body is created in; unused when options.body is given
  * @param {number} color - Dice color as hex value
+ * @param {Object} [options] - Dice options
+ * @param {string} [options.type='d6'] - Dice type (d4, d6, d8, d10, d12, d20 or d100)
+ * @param {Object} [options.body] - Existing physics body (from createDiceBody or a worker proxy) to drive the dice
+ * @param {Object} options.textureCache - Texture cache of the table (see createTextureCache)
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
  * @returns {Object} - Dice controller with update methods
  */
-export function createDice(THREE, RAPIER, scene, world, color) {
-  log(`Creating dice with color: 0x${color.toString(16)}`);
+export function createDice(THREE, RAPIER, scene, world, color, options = {}) {
+  const config = options.config ?? CONFIG;
+  const { PHYSICS, HOLD } = config;
+  const type = options.type || 'd6';
+  log(`Creating ${type} dice with color: 0x${color.toString(16)}`);
   
+  // Physics body - created here unless one is handed in (e.g. a worker proxy)
+  const body = options.body || createDiceBody(RAPIER, world, type, config);
+  const physics = createDicePhysics(RAPIER, body, type, config);
+  const { shape, valueTable } = physics;
   const size = PHYSICS.dice.size;
   
-  // Create materials for each face of the dice
-  const materials = [];
-  
-  // Standard dice configuration (right, left, top, bottom, front, back)
-  const faceNumbers = [1, 6, 2, 5, 3, 4];
-  
-  for (const number of faceNumbers) {
-    const texture = createDiceFaceTexture(THREE, number, color);
-    
-    const material = new THREE.MeshStandardMaterial({
+  // Create dice mesh
+  const geometry = type === 'd6'
+    ? new THREE.BoxGeometry(size, size, size)
+    : createDiceGeometry(THREE, shape, size * shape.radius);
+  const materials = createFaceTextures(THREE, options.textureCache, shape, valueTable, color).map(texture =>
+    new THREE.MeshStandardMaterial({
       color: 0x000000,
       emissive: color,
       emissiveMap: texture,
       emissiveIntensity: 1,
       roughness: 0.3,
       metalness: 0.7
-    });
-    
-    materials.push(material);
-  }
-  
-  // Create dice mesh
-  const geometry = new THREE.BoxGeometry(size, size, size);
+    })
+  );
   const diceMesh = new THREE.Mesh(geometry, materials);
   diceMesh.castShadow = true;
   scene.add(diceMesh);
@@ -60,76 +76,36 @@ export function createDice(THREE, RAPIER, scene, world, color) {
   const pointLight = new THREE.PointLight(color, 2, 10);
   scene.add(pointLight);
   
-  // Create physics body
-  const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
-    .setTranslation(0, 5, 0);
-    
-  // NOTE: We removed the setMass call as it's not supported in this version
-  
-  const body = world.createRigidBody(bodyDesc);
-  
-  // Create collider
-  const colliderDesc = RAPIER.ColliderDesc.cuboid(
-    size/2, size/2, size/2
-  )
-    .setRestitution(PHYSICS.dice.restitution)
-    .setFriction(PHYSICS.dice.friction);
+  // Body transform before and after the latest physics step; frames are
+  // rendered in between
+  const previousPosition = new THREE.Vector3().copy(body.translation());
+  const previousRotation = new THREE.Quaternion().copy(body.rotation());
+  const currentPosition = previousPosition.clone();
+  const currentRotation = previousRotation.clone();
   
-  world.createCollider(colliderDesc, body);
-  
-  // Apply damping for more realistic movement
-  body.setLinearDamping(PHYSICS.dice.linearDamping);
-  body.setAngularDamping(PHYSICS.dice.angularDamping);
-  
-  /**
-   * Get the current value showing on top of the dice
-   * @returns {number} - The value (1-6) currently facing up
-   */
-  function getCurrentValue() {
-    // Implementation for determining the facing value
-    // This is a simplified approach - for production would need more robust detection
-    const diceRotation = diceMesh.quaternion;
-    const upVector = new THREE.Vector3(0, 1, 0);
-    
-    // Transform the up vector by the dice's rotation
-    upVector.applyQuaternion(diceRotation);
-    
-    // Determine which face is most aligned with the up direction
-    let maxAlignment = -1;
-    let faceIndex = 0;
-    
-    // Check alignment with each face normal
-    const normals = [
-      new THREE.Vector3(1, 0, 0),   // Right - 1
-      new THREE.Vector3(-1, 0, 0),  // Left - 6
-      new THREE.Vector3(0, 1, 0),   // Top - 2
-      new THREE.Vector3(0, -1, 0),  // Bottom - 5
-      new THREE.Vector3(0, 0, 1),   // Front - 3
-      new THREE.Vector3(0, 0, -1)   // Back - 4
-    ];
+  // Return dice controller object: the physics controller plus the visuals
+  return {
+    ...physics,
     
-    normals.forEach((normal, index) => {
-      const alignment = upVector.dot(normal);
-      if (alignment > maxAlignment) {
-        maxAlignment = alignment;
-        faceIndex = index;
-      }
-    });
+    /**
+     * Remember the body transform before the next physics step
+     */
+    storePreviousState() {
+      previousPosition.copy(body.translation());
+      previousRotation.copy(body.rotation());
+    },
     
-    return faceNumbers[faceIndex];
-  }
-  
-  // Return dice controller object
-  return {
     /**
      * Update dice position and rotation based on physics
+     * @param {number} [alpha=1] - Interpolation factor between the transform before
+     *   (0) and after (1) the latest physics step
      */
-    update() {
-      const pos = body.translation();
-      diceMesh.position.set(pos.x, pos.y, pos.z);
+    update(alpha = 1) {
+      currentPosition.copy(body.translation());
+      currentRotation.copy(body.rotation());
       
-      const rot = body.rotation();
-      diceMesh.quaternion.set(rot.x, rot.y, rot.z, rot.w);
+      diceMesh.position.lerpVectors(previousPosition, currentPosition, alpha);
+      diceMesh.quaternion.slerpQuaternions(previousRotation, currentRotation, alpha);
       
       // Update light position to follow dice
       pointLight.position.copy(diceMesh.position);
@@ -137,8 +113,8 @@ export function createDice(THREE, RAPIER, scene, world, color) {
       
       if (PHYSICS.dice.debug) {
         // Optional: log the current visible face for debugging
-        if (this.isAtRest()) {
-          log(`Dice value: ${getCurrentValue()}`);
+        if (physics.isAtRest()) {
+          log(`Dice value: ${physics.getValue()}`);
         }
       }
     },
@@ -148,58 +124,103 @@ export function createDice(THREE, RAPIER, scene, world, color) {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} z - Z position
+     * @param {Object} [rotation] - Orientation quaternion ({x, y, z, w}); kept as is if omitted
      */
-    reset(x, y, z) {
-      body.setTranslation(new RAPIER.Vector3(x, y, z), true);
-      body.setLinvel(new RAPIER.Vector3(0, 0, 0), true);
-      body.setAngvel(new RAPIER.Vector3(0, 0, 0), true);
-    },
-    
-    /**
-     * Apply linear impulse to the dice
-     * @param {number} x - X impulse
-     * @param {number} y - Y impulse
-     * @param {number} z - Z impulse
-     */
-    applyImpulse(x, y, z) {
-      body.applyImpulse(new RAPIER.Vector3(x, y, z), true);
+    reset(x, y, z, rotation) {
+      physics.reset(x, y, z, rotation);
+      
+      // Teleports are not interpolated
+      this.storePreviousState();
     },
     
     /**
-     * Apply torque impulse to the dice
-     * @param {number} x - X torque
-     * @param {number} y - Y torque
-     * @param {number} z - Z torque
+     * Hold the dice in place between rolls, or let it roll again
+     * @param {boolean} value - Whether the dice is held
      */
-    applyTorque(x, y, z) {
-      body.applyTorqueImpulse(new RAPIER.Vector3(x, y, z), true);
+    setHeld(value) {
+      physics.setHeld(value);
+      
+      materials.forEach(material => {
+        material.emissiveIntensity = value ? HOLD.emissiveIntensity : 1;
+      });
+      lineMaterial.color.set(value ? HOLD.wireframeColor : color);
     },
     
     /**
-     * Check if dice is at rest
-     * @returns {boolean} - True if the dice has stopped moving
+     * Relabel the dice so the given face (or d4 vertex) shows a value.
+     * The face that showed the value before takes over the old label.
+     * @param {number} index - Index into the value table
+     * @param {number} value - Value the face should show
      */
-    isAtRest() {
-      const velocityThreshold = 0.1;
-      const angularVelocityThreshold = 0.1;
+    remapFace(index, value) {
+      physics.remapFace(index, value);
       
-      return (
-        body.linvel().length < velocityThreshold &&
-        body.angvel().length < angularVelocityThreshold
-      );
+      createFaceTextures(THREE, options.textureCache, shape, valueTable, color).forEach((texture, materialIndex) => {
+        materials[materialIndex].emissiveMap = texture;
+      });
     },
     
     /**
-     * Get the current value showing on top of the dice
-     * @returns {number} - Current dice value (1-6)
+     * Remove the dice from the scene and the physics world
      */
-    getValue() {
-      return getCurrentValue();
+    dispose() {
+      scene.remove(diceMesh);
+      scene.remove(pointLight);
+      if (!options.body) {
+        world.removeRigidBody(body);
+      }
+      
+      // Face textures are cached and shared, so only free this dice's own resources
+      geometry.dispose();
+      edges.dispose();
+      lineMaterial.dispose();
+      materials.forEach(material => material.dispose());
+      pointLight.dispose();
     },
     
     // Expose internal objects for advanced usage
     mesh: diceMesh,
-    body: body,
-    light: pointLight
+    light: pointLight,
+    physics
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Get the texture of every face, in geometry group order
+ * @param {Object} THREE - Three.js library
+ * @param {Object} cache - Texture cache
+ * @param {Object} shape - Shape description
+ * @param {Array} valueTable - The dice's face-normal-to-value table
+ * @param {number} color - Dice color as hex value
+ * @returns {Array} - Face textures
+ */
+function createFaceTextures(THREE, cache, shape, valueTable, color) {
+  if (shape.type === 'd6') {
+    // Pips for whichever value each box face currently carries
+    return BOX_FACE_NORMALS.map(normal => {
+      const entry = valueTable.find(candidate =>
+        candidate.normal[0] * normal[0] +
+        candidate.normal[1] * normal[1] +
+        candidate.normal[2] * normal[2] > 0.99
+      );
+      return createDiceFaceTexture(THREE, cache, entry.value, color);
+    });
+  }
+  
+  if (shape.readVertices) {
+    // d4 value table entries are vertices; each face shows its three corners
+    return shape.faces.map(face => {
+      const labels = face.indices.map(index => valueTable[index].label);
+      
+      // Start the corner labels at the corner that is drawn at the top
+      const { topCorner } = getFaceLayout(shape, face);
+      return createD4FaceTexture(THREE, cache, labels.slice(topCorner).concat(labels.slice(0, topCorner)), color);
+    });
+  }
+  
+  return shape.faces.map((face, index) => {
+    // Triangles leave less room for the number than kites and pentagons
+    const fontScale = face.indices.length === 3 ? 0.28 : 0.4;
+    return createDiceLabelTexture(THREE, cache, valueTable[index].label, color, fontScale);
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Headless dice roller for Neon Dice 2000
+ *
+ * Runs the same physics, throws and settle detection as the page, without
+ * Three.js or the DOM, so rolls can be simulated from Node or a worker.
+ * Simulated time advances one fixed step at a time, as fast as the CPU allows.
+ *
+ * Example (Node):
+ *   const RAPIER = (await import('./libs/rapier.es.js')).default;
+ *   await RAPIER.init();
+ *   const roller = createHeadlessRoller(RAPIER);
+ *   const detail = await roller.roll('4d6kh3', { seed: 42 });
+ */
+
+import { DICE_POOL, PHYSICS } from '../config.js';
+import { createLocalPhysics } from './local.js';
+import { createDicePhysics } from './body.js';
+import { createSettleDetector } from './settle.js';
+import { createThrow, applyThrow } from './throw.js';
+import { forceOutcome } from './predict.js';
+import { parseNotation, evaluateNotation } from '../utils/notation.js';
+import { buildDicePool, collectGroupValues, splitTargetValues } from '../utils/pool.js';
+import { createRandom, generateSeed } from '../utils/random.js';
+
+/**
+ * Create a roller that simulates rolls without rendering them
+ * @param {Object} RAPIER - Initialized Rapier physics library
+ * @param {Object} [options] - Roller options
+ * @param {Function} [options.onImpact] - Called with (kind, force, key) for every hard contact
+ * @returns {Object} - Roller with roll and dispose methods
+ */
+export function createHeadlessRoller(RAPIER, options = {}) {
+  const physics = createLocalPhysics(RAPIER, { onImpact: options.onImpact });
+
+  return {
+    /**
+     * Roll an expression in dice notation and simulate it until it settles
+     * @param {string} notation - Dice notation, e.g. "4d6kh3+2"
+     * @param {Object} [rollOptions] - Roll options, as for the page's roll()
+     * @param {number|string} [rollOptions.seed] - Seed to replay a throw; a fresh one is generated if omitted
+     * @param {string} [rollOptions.algorithm] - Registered random algorithm for the seed
+     * @param {Array<number>} [rollOptions.values] - Values the dice must land on, one per die in notation order
+     * @param {Object} [rollOptions.gesture] - Drag gesture ({ origin, direction, speed }) driving the throw
+     * @returns {Promise<Object>} - Resolves with the same details as the page's rollcomplete event
+     */
+    async roll(notation, rollOptions = {}) {
+      const tree = parseNotation(notation);
+      const pool = buildDicePool(tree, DICE_POOL.maxDice);
+      const random = createRandom(rollOptions.seed ?? generateSeed(), rollOptions.algorithm);
+      const targets = rollOptions.values ? splitTargetValues(pool, rollOptions.values) : null;
+      const { gesture } = rollOptions;
+
+      const bodies = physics.reset(pool.types);
+      const dice = pool.types.map((type, index) => createDicePhysics(RAPIER, bodies[index], type));
+
+      let result = null;
+      let reroll = null;
+
+      const settleDetector = createSettleDetector({
+        onReroll(indices) {
+          indices.forEach(index => applyThrow(dice[index], createThrow(index, random, gesture)));
+
+          if (targets) {
+            reroll = forceOutcome(physics, indices.map(index => dice[index]), indices.map(index => targets[index]));
+          }
+        },
+        onComplete(settled) {
+          result = settled;
+        }
+      });
+
+      dice.forEach((die, index) => applyThrow(die, createThrow(index, random, gesture)));
+      if (targets) {
+        await forceOutcome(physics, dice, targets);
+      }
+
+      // Step in simulated time; the detector's timeout guarantees an end
+      let simulationTime = 0;
+      settleDetector.start(dice, simulationTime);
+
+      while (!result) {
+        physics.step();
+        simulationTime += physics.timestep * 1000;
+        settleDetector.update(simulationTime);
+
+        // Relabel re-thrown dice before they move on
+        if (reroll) {
+          await reroll;
+          reroll = null;
+        }
+      }
+
+      return {
+        ...result,
+        notation,
+        seed: random.seed,
+        algorithm: random.algorithm,
+        gesture,
+        predetermined: !!targets,
+        manual: false,
+        profile: PHYSICS.profile,
+        ...evaluateNotation(tree, collectGroupValues(pool, result.dice.map(die => die.value)))
+      };
+    },
+
+    /**
+     * Free the physics world
+     */
+    dispose() {
+      physics.dispose();
+    }
+  };
+}
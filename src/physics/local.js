@@ -0,0 +1,90 @@
+/**
+ * Main-thread physics backend for Neon Dice 2000
+ *
+ * Steps the Rapier world on the calling thread. remote.js offers the same
+ * interface with the world running in a Web Worker.
+ */
+
+import * as CONFIG from '../config.js';
+import { setupPhysicsWorld, getContactKind } from './world.js';
+import { createDiceBody } from './body.js';
+import { predictLanding } from './predict.js';
+
+/**
+ * Create a physics backend that runs on the current thread
+ * @param {Object} RAPIER - Rapier physics library
+ * @param {Object} [options] - Backend options
+ * @param {Function} [options.onBeforeState] - Called right before the dice bodies move
+ * @param {Function} [options.onImpact] - Called with (kind, force, key) for every hard contact
+ * @param {Function} [options.onState] - Called after every step, once the dice bodies have moved
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Backend with reset, step, predictLanding and dispose methods
+ */
+export function createLocalPhysics(RAPIER, options = {}) {
+  const config = options.config ?? CONFIG;
+  const eventQueue = new RAPIER.EventQueue(true);
+  let world = null;
+
+  return {
+    // Where the simulation runs
+    mode: 'main',
+
+    // Length of one step in seconds
+    timestep: config.PHYSICS.timestep,
+
+    /**
+     * Replace the world with a fresh one holding the given dice
+     * @param {Array<string>} types - Dice types in throw order
+     * @returns {Array<Object>} - Rigid body of each die
+     */
+    reset(types) {
+      if (world) {
+        world.free();
+      }
+
+      world = setupPhysicsWorld(RAPIER, config);
+      return types.map(type => createDiceBody(RAPIER, world, type, config));
+    },
+
+    /**
+     * Advance the world by one step and report the impacts
+     */
+    step() {
+      if (options.onBeforeState) options.onBeforeState();
+
+      world.step(eventQueue);
+
+      eventQueue.drainContactForceEvents(event => {
+        const handle1 = event.collider1();
+        const handle2 = event.collider2();
+        const kind = getContactKind(world, handle1, handle2);
+
+        if (kind && options.onImpact) {
+          options.onImpact(kind, event.totalForceMagnitude(), `${handle1}:${handle2}`);
+        }
+      });
+      
+      if (options.onState) options.onState();
+    },
+
+    /**
+     * Simulate ahead until the dice settle, without touching the world
+     * @param {Array<Object>} bodies - Bodies returned by reset
+     * @returns {Promise<Array<Object>>} - Final rotation of each body
+     */
+    predictLanding(bodies) {
+      return Promise.resolve(predictLanding(RAPIER, world, bodies, config));
+    },
+
+    /**
+     * Free the world
+     */
+    dispose() {
+      if (world) {
+        world.free();
+        world = null;
+      }
+      eventQueue.free();
+    }
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Fixed-timestep simulation loop for Neon Dice 2000
+ *
+ * Physics always advances in steps of the same length, however often the
+ * display refreshes, so a roll plays out the same at 60 Hz, 120 Hz or under
+ * load. Rendering happens once per frame, interpolated between the last two
+ * physics states.
+ *
+ * The loop goes to sleep once nothing moves and while the page is hidden,
+ * so a still table costs no CPU, GPU or battery. Call wake() whenever
+ * something may need a new frame.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+
+/**
+ * Create the animation loop
+ * @param {Object} options - Loop options
+ * @param {Function} options.step - Advances the simulation by one step; called with the step length in seconds
+ * @param {Function} options.render - Draws a frame; called with the interpolation factor (0-1)
+ *   between the previous and the current physics state, and the time since the previous
+ *   frame in ms (null for the first frame after a pause)
+ * @param {Function} [options.isIdle] - Returns true when nothing moves; the loop then sleeps until woken
+ * @param {number} [options.timestep] - Step length in seconds
+ * @param {number} [options.maxSubsteps] - Steps run per frame at most
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Loop controller with start, stop, wake, isRunning, isAwake and dispose methods
+ */
+export function createFixedStepLoop(options) {
+  const { step, render } = options;
+  const { PHYSICS, LOOP } = options.config ?? CONFIG;
+  const timestep = options.timestep ?? PHYSICS.timestep;
+  const maxSubsteps = options.maxSubsteps ?? LOOP.maxSubsteps;
+
+  let accumulator = 0;
+  let lastTime = null;
+  let frameId = null;
+
+  // Started (and not stopped), and has something to animate
+  let running = false;
+  let awake = false;
+
+  /**
+   * Request the next frame unless one is pending, the loop is stopped or the page is hidden
+   */
+  function schedule() {
+    if (frameId !== null || !running || !awake || isPageHidden()) return;
+    frameId = requestAnimationFrame(frame);
+  }
+
+  /**
+   * Stop requesting frames; the next frame starts timing afresh so the
+   * pause is not simulated
+   */
+  function pause() {
+    if (frameId !== null) {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    }
+    lastTime = null;
+    accumulator = 0;
+  }
+
+  function frame(time) {
+    frameId = null;
+
+    // Cap long frames so a stalled tab does not fast-forward the dice
+    const frameTime = lastTime === null ? null : time - lastTime;
+    lastTime = time;
+    accumulator += Math.min((frameTime ?? 0) / 1000, LOOP.maxFrameTime);
+
+    let substeps = 0;
+    while (accumulator >= timestep && substeps < maxSubsteps) {
+      step(timestep);
+      accumulator -= timestep;
+      substeps++;
+    }
+
+    // Too slow to keep up: drop the backlog instead of spiralling
+    if (accumulator >= timestep) {
+      log(`Physics fell behind, dropping ${Math.floor(accumulator / timestep)} steps`);
+      accumulator %= timestep;
+    }
+
+    render(accumulator / timestep, frameTime);
+
+    if (options.isIdle && options.isIdle()) {
+      log('Everything at rest, loop sleeping');
+      awake = false;
+      pause();
+      return;
+    }
+
+    schedule();
+  }
+
+  function onVisibilityChange() {
+    if (isPageHidden()) {
+      log('Page hidden, loop paused');
+      pause();
+    } else {
+      schedule();
+    }
+  }
+
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  return {
+    /**
+     * Start requesting frames
+     */
+    start() {
+      running = true;
+      awake = true;
+      schedule();
+    },
+
+    /**
+     * Stop requesting frames until start is called again
+     */
+    stop() {
+      running = false;
+      pause();
+    },
+
+    /**
+     * Run frames again after sleeping, e.g. on input, resize or a new roll.
+     * The loop renders at least one frame and goes back to sleep if
+     * everything is still at rest.
+     */
+    wake() {
+      awake = true;
+      schedule();
+    },
+
+    /**
+     * Check whether the loop has been started
+     * @returns {boolean} - True between start and stop
+     */
+    isRunning() {
+      return running;
+    },
+
+    /**
+     * Check whether the loop is animating (not sleeping)
+     * @returns {boolean} - True while frames are being produced or would be if the page were visible
+     */
+    isAwake() {
+      return running && awake;
+    },
+
+    /**
+     * Stop the loop for good and stop listening for page visibility changes
+     */
+    dispose() {
+      running = false;
+      pause();
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+      }
+    }
+  };
+}
+
+/**
+ * Check whether the page is hidden (Page Visibility API)
+ * @returns {boolean} - True when the page cannot be seen
+ */
+function isPageHidden() {
+  return typeof document !== 'undefined' && document.hidden;
+}
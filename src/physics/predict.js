@@ -0,0 +1,88 @@
+/**
+ * Throw outcome prediction for Neon Dice 2000
+ *
+ * Simulates a throw ahead of time in a copy of the physics world, so the
+ * dice can be relabelled to land on values decided elsewhere (e.g. by a
+ * game server) while the throw itself stays completely natural.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+
+// Same thresholds as the dice controller's isAtRest()
+const VELOCITY_THRESHOLD = 0.1;
+const ANGULAR_VELOCITY_THRESHOLD = 0.1;
+
+/**
+ * Simulate the current world until the dice settle and report their orientation
+ * @param {Object} RAPIER - Rapier physics library
+ * @param {Object} world - Physics world with the throw already applied
+ * @param {Array} bodies - Rigid bodies of the dice taking part in the throw
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Array<Object>} - Final rotation quaternion of each die
+ */
+export function predictLanding(RAPIER, world, bodies, config = CONFIG) {
+  const { SETTLE } = config;
+  const stepMs = world.timestep * 1000;
+  const restSteps = Math.ceil(SETTLE.restTime / stepMs);
+  const maxSteps = Math.ceil(SETTLE.timeout / stepMs);
+
+  // The snapshot carries contacts and solver state, so the copy follows
+  // exactly the same trajectory as the live world will
+  const scratch = RAPIER.World.restoreSnapshot(world.takeSnapshot());
+
+  try {
+    const copies = bodies.map(body => scratch.getRigidBody(body.handle));
+    let restingFor = 0;
+    let steps = 0;
+
+    while (steps < maxSteps && restingFor < restSteps) {
+      scratch.step();
+      steps++;
+
+      restingFor = copies.every(isResting) ? restingFor + 1 : 0;
+    }
+
+    log(`Predicted landing after ${steps} steps`);
+
+    return copies.map(body => {
+      const rotation = body.rotation();
+      return { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w };
+    });
+  } finally {
+    scratch.free();
+  }
+}
+
+/**
+ * Relabel dice so each one lands showing its target value
+ *
+ * The prediction runs wherever the physics runs (see local.js and remote.js),
+ * before the world takes another step.
+ * @param {Object} physics - Physics backend holding the world with the throw already applied
+ * @param {Array} dice - Dice controllers taking part in the throw
+ * @param {Array<number>} values - Target value of each die
+ * @returns {Promise} - Resolves once the dice are relabelled
+ */
+export function forceOutcome(physics, dice, values) {
+  return physics.predictLanding(dice.map(die => die.body)).then(landings => {
+    dice.forEach((die, index) => {
+      die.remapFace(die.getUpFaceIndex(landings[index]), values[index]);
+    });
+  });
+}
+
+/**
+ * Check whether a body has stopped moving
+ * @param {Object} body - Rapier rigid body
+ * @returns {boolean} - True if both velocities are below the rest thresholds
+ */
+function isResting(body) {
+  const linvel = body.linvel();
+  const angvel = body.angvel();
+
+  return (
+    Math.hypot(linvel.x, linvel.y, linvel.z) < VELOCITY_THRESHOLD &&
+    Math.hypot(angvel.x, angvel.y, angvel.z) < ANGULAR_VELOCITY_THRESHOLD
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * Physics feel profiles for Neon Dice 2000
+ *
+ * A profile is a named set of the values that decide how a throw feels:
+ * bounce, friction, damping, gravity, throw strength and spin, and how hard
+ * the walls bounce dice back. Values a profile leaves out keep their default
+ * (config.js, or config.json and the URL on top of it), so switching profiles
+ * never carries values over from the last one.
+ */
+
+import { flattenSettings, getDefaultSetting } from '../utils/settings.js';
+
+// Settings a profile may set
+export const PROFILE_SETTINGS = [
+  'PHYSICS.gravity',
+  'PHYSICS.walls',
+  'PHYSICS.dice.restitution',
+  'PHYSICS.dice.friction',
+  'PHYSICS.dice.linearDamping',
+  'PHYSICS.dice.angularDamping',
+  'THROW.force',
+  'THROW.impulse',
+  'THROW.torque'
+];
+
+// Profiles by name: { name, settings by path }
+export const PROFILES = {
+  // Hard table with rubber-lined rails: lively rolls that bounce off the walls
+  'casino-table': {
+    name: 'Casino table',
+    settings: {
+      'PHYSICS.dice.restitution': 0.55,
+      'PHYSICS.dice.friction': 0.35,
+      'PHYSICS.dice.linearDamping': 0.15,
+      'PHYSICS.dice.angularDamping': 0.1,
+      'PHYSICS.walls.restitution': 0.85,
+      'THROW.force.min': 22,
+      'THROW.force.max': 28,
+      'THROW.torque': 20
+    }
+  },
+
+  // Padded dice tray: dull thuds, short rolls, dice stop quickly
+  'felt-tray': {
+    name: 'Felt tray',
+    settings: {
+      'PHYSICS.dice.restitution': 0.25,
+      'PHYSICS.dice.friction': 0.9,
+      'PHYSICS.dice.linearDamping': 0.6,
+      'PHYSICS.dice.angularDamping': 0.6,
+      'PHYSICS.walls.restitution': 0.3,
+      'THROW.force.min': 12,
+      'THROW.force.max': 16,
+      'THROW.impulse.y.min': 4,
+      'THROW.impulse.y.max': 6,
+      'THROW.torque': 10
+    }
+  },
+
+  // Slippery, bouncy and thrown hard: dice fly everywhere
+  'chaotic-arcade': {
+    name: 'Chaotic arcade',
+    settings: {
+      'PHYSICS.gravity.y': -14,
+      'PHYSICS.dice.restitution': 0.9,
+      'PHYSICS.dice.friction': 0.2,
+      'PHYSICS.dice.linearDamping': 0.05,
+      'PHYSICS.dice.angularDamping': 0.05,
+      'PHYSICS.walls.restitution': 0.95,
+      'THROW.force.min': 28,
+      'THROW.force.max': 36,
+      'THROW.impulse.y.min': 10,
+      'THROW.impulse.y.max': 14,
+      'THROW.torque': 40
+    }
+  },
+
+  // Moon gravity: long floating arcs and slow tumbles
+  'low-gravity': {
+    name: 'Low gravity',
+    settings: {
+      'PHYSICS.gravity.y': -3.5,
+      'PHYSICS.dice.restitution': 0.6,
+      'PHYSICS.dice.linearDamping': 0.1,
+      'PHYSICS.dice.angularDamping': 0.1,
+      'THROW.force.min': 10,
+      'THROW.force.max': 14,
+      'THROW.impulse.y.min': 3,
+      'THROW.impulse.y.max': 5,
+      'THROW.torque': 12
+    }
+  }
+};
+
+/**
+ * Get every value a profile decides, to switch to it
+ * @param {string} name - Profile name; '' for the defaults
+ * @returns {Object} - Values by path, including PHYSICS.profile
+ */
+export function getProfileValues(name) {
+  // An own property, so names such as "constructor" are not taken for profiles
+  if (name && !Object.prototype.hasOwnProperty.call(PROFILES, name)) {
+    throw new Error(`Unknown physics profile "${name}" (profiles: ${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  const values = {};
+  Object.keys(flattenSettings(PROFILE_SETTINGS)).forEach(path => {
+    values[path] = getDefaultSetting(path);
+  });
+
+  return { ...values, ...(name ? PROFILES[name].settings : {}), 'PHYSICS.profile': name };
+}
@@ -0,0 +1,274 @@
+/**
+ * Web Worker physics backend for Neon Dice 2000
+ *
+ * The Rapier world lives in worker.js. Each die gets a proxy with the subset
+ * of the rigid body API the app uses: writes are queued as commands and sent
+ * to the worker once per task, reads come from the latest state the worker
+ * streamed back in a transferred buffer.
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+import { DICE_SPAWN_POSITION } from './body.js';
+import { flattenSettings, SIMULATION_SETTINGS } from '../utils/settings.js';
+
+// Floats per body in a state buffer: translation, rotation, linvel, angvel
+export const BODY_STATE_SIZE = 13;
+
+// Body methods forwarded to the worker
+export const FORWARDED_METHODS = [
+  'setTranslation',
+  'setRotation',
+  'setLinvel',
+  'setAngvel',
+  'applyImpulse',
+  'applyTorqueImpulse',
+  'setBodyType',
+  'setNextKinematicTranslation',
+  'setNextKinematicRotation'
+];
+
+/**
+ * Start the physics worker and wait until it has loaded Rapier
+ * @param {Object} [options] - Backend options
+ * @param {Function} [options.onBeforeState] - Called right before the dice bodies move
+ * @param {Function} [options.onImpact] - Called with (kind, force, key) for every hard contact
+ * @param {Function} [options.onState] - Called after a state from the worker has been applied;
+ *   states arrive between frames and may cover several steps, unlike with the main-thread backend
+ * @param {Object} [options.config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Promise<Object>} - Backend with the same interface as createLocalPhysics
+ */
+export function createPhysicsWorker(options = {}) {
+  const { PHYSICS, LIBRARIES } = options.config ?? CONFIG;
+
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      reject(new Error('Web Workers are not supported'));
+      return;
+    }
+
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error('Physics worker did not start in time'));
+    }, PHYSICS.workerTimeout);
+
+    worker.onmessage = (e) => {
+      if (e.data.type === 'ready') {
+        clearTimeout(timer);
+        log('Physics worker ready');
+        resolve(createWorkerBackend(worker, options));
+      } else if (e.data.type === 'error') {
+        clearTimeout(timer);
+        worker.terminate();
+        reject(new Error(e.data.message));
+      }
+    };
+
+    worker.onerror = (e) => {
+      clearTimeout(timer);
+      worker.terminate();
+      reject(new Error(e.message || 'Physics worker failed to load'));
+    };
+
+    // The worker resolves library URLs on its own, so hand it absolute ones
+    worker.postMessage({
+      type: 'init',
+      urls: [LIBRARIES.RAPIER.url, new URL(LIBRARIES.RAPIER.fallbackUrl, document.baseURI).href]
+    });
+  });
+}
+
+/**
+ * Wrap a ready worker in the physics backend interface
+ * @param {Worker} worker - Worker that has loaded Rapier
+ * @param {Object} options - Backend options
+ * @returns {Object} - Backend with reset, step, predictLanding and dispose methods
+ */
+function createWorkerBackend(worker, options) {
+  const config = options.config ?? CONFIG;
+  let commands = [];
+  let flushQueued = false;
+
+  // Proxies of the current world, and which world they belong to so states
+  // still in flight from a replaced world are dropped
+  let bodies = [];
+  let generation = 0;
+
+  // Predictions waiting for an answer, by request ID
+  const predictions = new Map();
+  let nextPredictionId = 1;
+
+  /**
+   * Queue a command; everything queued during one task reaches the worker as
+   * one batch, so a throw and its prediction are never split by a step
+   * @param {Object} command - Command for the worker
+   */
+  function send(command) {
+    commands.push(command);
+
+    if (!flushQueued) {
+      flushQueued = true;
+      queueMicrotask(() => {
+        flushQueued = false;
+        worker.postMessage({ type: 'batch', commands });
+        commands = [];
+      });
+    }
+  }
+
+  worker.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'state') {
+      if (message.generation !== generation) return;
+
+      if (options.onBeforeState) options.onBeforeState();
+
+      const states = new Float32Array(message.buffer);
+      bodies.forEach((body, index) => body.applyState(states, index * BODY_STATE_SIZE));
+
+      if (options.onImpact) {
+        message.impacts.forEach(([kind, force, key]) => options.onImpact(kind, force, key));
+      }
+      if (options.onState) options.onState();
+    } else if (message.type === 'prediction') {
+      const resolve = predictions.get(message.id);
+      predictions.delete(message.id);
+      if (resolve) resolve(message.rotations);
+    }
+  };
+
+  return {
+    // Where the simulation runs
+    mode: 'worker',
+
+    // Length of one step in seconds
+    timestep: config.PHYSICS.timestep,
+
+    /**
+     * Replace the world with a fresh one holding the given dice; the worker
+     * takes over the current simulation settings (and the contact force
+     * reported for sounds) first
+     * @param {Array<string>} types - Dice types in throw order
+     * @returns {Array<Object>} - Body proxy of each die
+     */
+    reset(types) {
+      generation++;
+      send({ type: 'reset', generation, types, settings: flattenSettings([...SIMULATION_SETTINGS, 'SOUND.minForce'], config) });
+
+      bodies = types.map((type, index) => createBodyProxy(index, send));
+      return bodies;
+    },
+
+    /**
+     * Ask the worker to advance the world by one step; the new state and
+     * impacts arrive asynchronously
+     */
+    step() {
+      send({ type: 'step' });
+    },
+
+    /**
+     * Simulate ahead until the dice settle, without touching the world
+     * @param {Array<Object>} proxies - Proxies returned by reset
+     * @returns {Promise<Array<Object>>} - Final rotation of each body
+     */
+    predictLanding(proxies) {
+      return new Promise(resolve => {
+        const id = nextPredictionId++;
+        predictions.set(id, resolve);
+        send({ type: 'predict', id, indices: proxies.map(proxy => proxy.handle) });
+      });
+    },
+
+    /**
+     * Stop the worker
+     */
+    dispose() {
+      worker.terminate();
+    }
+  };
+}
+
+/**
+ * Create a stand-in for a rigid body living in the worker
+ * @param {number} index - Index of the body in the worker's world
+ * @param {Function} send - Queues a command for the worker
+ * @returns {Object} - Proxy with the rigid body methods the app uses
+ */
+function createBodyProxy(index, send) {
+  let translation = { ...DICE_SPAWN_POSITION };
+  let rotation = { x: 0, y: 0, z: 0, w: 1 };
+  let linvel = { x: 0, y: 0, z: 0 };
+  let angvel = { x: 0, y: 0, z: 0 };
+
+  const proxy = {
+    // Stands in for the Rapier handle when talking to the worker
+    handle: index,
+
+    translation: () => ({ ...translation }),
+    rotation: () => ({ ...rotation }),
+    linvel: () => ({ ...linvel }),
+    angvel: () => ({ ...angvel }),
+
+    /**
+     * Take over the body state streamed back by the worker
+     * @param {Float32Array} states - State buffer
+     * @param {number} offset - Offset of this body in the buffer
+     */
+    applyState(states, offset) {
+      translation = { x: states[offset], y: states[offset + 1], z: states[offset + 2] };
+      rotation = { x: states[offset + 3], y: states[offset + 4], z: states[offset + 5], w: states[offset + 6] };
+      linvel = { x: states[offset + 7], y: states[offset + 8], z: states[offset + 9] };
+      angvel = { x: states[offset + 10], y: states[offset + 11], z: states[offset + 12] };
+    }
+  };
+
+  FORWARDED_METHODS.forEach(method => {
+    proxy[method] = (...args) => {
+      send({ type: 'body', index, method, args: args.map(toPlain) });
+    };
+  });
+
+  // Teleports show up right away instead of one round trip later
+  const setTranslation = proxy.setTranslation;
+  const setRotation = proxy.setRotation;
+  const setLinvel = proxy.setLinvel;
+  const setAngvel = proxy.setAngvel;
+
+  proxy.setTranslation = (value, wakeUp) => {
+    translation = toPlain(value);
+    setTranslation(value, wakeUp);
+  };
+  proxy.setRotation = (value, wakeUp) => {
+    rotation = toPlain(value);
+    setRotation(value, wakeUp);
+  };
+  proxy.setLinvel = (value, wakeUp) => {
+    linvel = toPlain(value);
+    setLinvel(value, wakeUp);
+  };
+  proxy.setAngvel = (value, wakeUp) => {
+    angvel = toPlain(value);
+    setAngvel(value, wakeUp);
+  };
+
+  return proxy;
+}
+
+/**
+ * Copy a Rapier vector or quaternion into a plain object that survives postMessage
+ * @param {*} value - Method argument
+ * @returns {*} - Plain copy, or the value itself when it is not an object
+ */
+function toPlain(value) {
+  if (value === null || typeof value !== 'object') return value;
+
+  const plain = { x: value.x, y: value.y, z: value.z };
+  if (value.w !== undefined) {
+    plain.w = value.w;
+  }
+  return plain;
+}
@@ -0,0 +1,128 @@
+/**
+ * Roll settle detection for Neon Dice 2000
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+
+/**
+ * Create a detector that watches a roll until every die has come to rest
+ * @param {Object} options - Detector options
+ * @param {Function} options.onComplete - Called once per roll with the aggregated result
+ * @param {Function} [options.onReroll] - Called with the indices of cocked or off-table dice
+ *   that should be thrown again; only used when re-rolling is enabled
+ * @param {number} [options.restTime] - Time (ms) the dice must stay at rest
+ * @param {number} [options.timeout] - Time (ms) after which the roll is reported anyway
+ * @param {boolean} [options.rerollInvalid] - Re-throw invalid dice instead of reporting them
+ * @param {number} [options.maxRerolls] - Maximum number of re-throws per roll
+ * @param {Object} [options.config] - Settings the other options default to, shaped like config.js (default config.js itself)
+ * @returns {Object} - Settle detector controller
+ */
+export function createSettleDetector(options) {
+  // State of the roll currently being watched (null when idle)
+  let roll = null;
+
+  /**
+   * Build the result reported for the current roll
+   * @param {number} settledAt - Time the dice came to rest
+   * @param {boolean} timedOut - Whether the roll hit the timeout
+   * @returns {Object} - Roll result
+   */
+  function buildResult(settledAt, timedOut) {
+    const dice = roll.dice.map((die, index) => ({
+      index,
+      type: die.type,
+      held: die.isHeld(),
+      ...die.getResult()
+    }));
+
+    return {
+      dice,
+      total: dice.reduce((sum, die) => sum + die.value, 0),
+      duration: Math.round(settledAt - roll.startedAt),
+      valid: dice.every(die => die.status === 'valid'),
+      rerolls: roll.rerolls,
+      timedOut
+    };
+  }
+
+  return {
+    /**
+     * Start watching a roll. Any roll still being watched is dropped.
+     * @param {Array} dice - Dice controllers taking part in the roll
+     * @param {number} now - Current time in ms
+     */
+    start(dice, now) {
+      // SETTLE is read per roll, so changed settings apply to the next one
+      const { SETTLE } = options.config ?? CONFIG;
+      roll = {
+        dice,
+        startedAt: now,
+        restingSince: null,
+        rerolls: 0,
+        restTime: options.restTime ?? SETTLE.restTime,
+        timeout: options.timeout ?? SETTLE.timeout,
+        rerollInvalid: options.rerollInvalid ?? SETTLE.rerollInvalid,
+        maxRerolls: options.maxRerolls ?? SETTLE.maxRerolls
+      };
+    },
+
+    /**
+     * Check the dice for this frame and report the roll once it has settled
+     * @param {number} now - Current time in ms
+     */
+    update(now) {
+      if (!roll) return;
+
+      const allAtRest = roll.dice.every(die => die.isAtRest());
+
+      if (!allAtRest) {
+        roll.restingSince = null;
+      } else if (roll.restingSince === null) {
+        roll.restingSince = now;
+      }
+
+      let result = null;
+
+      // The timeout is checked on its own, so dice that keep coming to rest
+      // for a moment cannot hold the roll open
+      if (now - roll.startedAt >= roll.timeout) {
+        log('Roll did not settle before the timeout');
+        result = buildResult(now, true);
+      } else if (roll.restingSince !== null && now - roll.restingSince >= roll.restTime) {
+        result = buildResult(roll.restingSince, false);
+
+        // Throw cocked and off-table dice again and keep watching
+        const invalid = result.dice.filter(die => die.status !== 'valid').map(die => die.index);
+        if (invalid.length > 0 && roll.rerollInvalid && options.onReroll && roll.rerolls < roll.maxRerolls) {
+          log(`Re-rolling invalid dice: ${invalid.join(', ')}`);
+          roll.rerolls++;
+          roll.restingSince = null;
+          options.onReroll(invalid);
+          return;
+        }
+      }
+
+      if (result) {
+        roll = null;
+        log(`Roll complete: ${result.dice.map(die => die.value).join(', ')} (total ${result.total})`);
+        options.onComplete(result);
+      }
+    },
+
+    /**
+     * Stop watching the current roll without reporting it
+     */
+    cancel() {
+      roll = null;
+    },
+
+    /**
+     * Check whether a roll is being watched
+     * @returns {boolean} - True while a roll is in progress
+     */
+    isRolling() {
+      return roll !== null;
+    }
+  };
+}
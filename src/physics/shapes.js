@@ -0,0 +1,431 @@
+/**
+ * Polyhedral dice shape definitions for Neon Dice 2000
+ *
+ * Shapes are described with plain arrays (no Three.js or Rapier types) so the
+ * same tables can drive the physics colliders, the rendered geometry and the
+ * face value detection.
+ */
+
+// Golden ratio, used by the dodecahedron and icosahedron
+const PHI = (1 + Math.sqrt(5)) / 2;
+
+// Tolerance used when grouping vertices into coplanar faces
+const EPSILON = 1e-6;
+
+// Pentagonal trapezohedron (d10): ring height that keeps the kite faces planar
+const D10_APEX = 1;
+const D10_RING = D10_APEX * (1 - Math.cos(Math.PI / 5)) / (1 + Math.cos(Math.PI / 5));
+
+/**
+ * Supported dice types in the order they are usually listed
+ */
+export const DICE_TYPES = ['d4', 'd6', 'd8', 'd10', 'd12', 'd20', 'd100'];
+
+// Raw shape definitions. `radius` is the circumradius as a multiple of
+// PHYSICS.dice.size so every die looks roughly the same size on the table.
+const SHAPE_DEFINITIONS = {
+  d4: {
+    sides: 4,
+    radius: 1.0,
+    vertices: [
+      [1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]
+    ],
+    // A d4 is read from the number at the upward pointing vertex
+    readVertices: true
+  },
+  d6: {
+    sides: 6,
+    radius: Math.sqrt(3) / 2,
+    vertices: [
+      [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+      [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1]
+    ],
+    // Matches the BoxGeometry material order (right, left, top, bottom, front, back)
+    faceValues: [
+      { normal: [1, 0, 0], value: 1 },
+      { normal: [-1, 0, 0], value: 6 },
+      { normal: [0, 1, 0], value: 2 },
+      { normal: [0, -1, 0], value: 5 },
+      { normal: [0, 0, 1], value: 3 },
+      { normal: [0, 0, -1], value: 4 }
+    ]
+  },
+  d8: {
+    sides: 8,
+    radius: 0.9,
+    vertices: [
+      [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]
+    ]
+  },
+  d10: {
+    sides: 10,
+    radius: 0.85,
+    vertices: createTrapezohedronVertices()
+  },
+  d12: {
+    sides: 12,
+    radius: 0.85,
+    vertices: [
+      [1, 1, 1], [1, 1, -1], [1, -1, 1], [1, -1, -1],
+      [-1, 1, 1], [-1, 1, -1], [-1, -1, 1], [-1, -1, -1],
+      [0, 1 / PHI, PHI], [0, 1 / PHI, -PHI], [0, -1 / PHI, PHI], [0, -1 / PHI, -PHI],
+      [1 / PHI, PHI, 0], [1 / PHI, -PHI, 0], [-1 / PHI, PHI, 0], [-1 / PHI, -PHI, 0],
+      [PHI, 0, 1 / PHI], [PHI, 0, -1 / PHI], [-PHI, 0, 1 / PHI], [-PHI, 0, -1 / PHI]
+    ]
+  },
+  d20: {
+    sides: 20,
+    radius: 0.9,
+    vertices: [
+      [0, 1, PHI], [0, 1, -PHI], [0, -1, PHI], [0, -1, -PHI],
+      [1, PHI, 0], [1, -PHI, 0], [-1, PHI, 0], [-1, -PHI, 0],
+      [PHI, 0, 1], [PHI, 0, -1], [-PHI, 0, 1], [-PHI, 0, -1]
+    ]
+  },
+  d100: {
+    sides: 10,
+    radius: 0.85,
+    vertices: createTrapezohedronVertices(),
+    // Percentile die: faces read 00, 10, ... 90
+    valueStep: 10,
+    valueOffset: -10
+  }
+};
+
+// Built shapes, keyed by dice type
+const shapeCache = {};
+
+/**
+ * Get the shape description for a dice type
+ * @param {string} type - Dice type (d4, d6, d8, d10, d12, d20 or d100)
+ * @returns {Object} - Shape with unit vertices, faces and value normals
+ */
+export function getDiceShape(type) {
+  if (shapeCache[type]) {
+    return shapeCache[type];
+  }
+
+  const definition = SHAPE_DEFINITIONS[type];
+  if (!definition) {
+    throw new Error(`Unsupported dice type: ${type}`);
+  }
+
+  const shape = buildShape(type, definition);
+  shapeCache[type] = shape;
+
+  return shape;
+}
+
+/**
+ * Build a shape from its raw definition
+ * @param {string} type - Dice type
+ * @param {Object} definition - Raw shape definition
+ * @returns {Object} - Shape description
+ */
+function buildShape(type, definition) {
+  // Normalize so the circumradius is 1
+  const maxLength = Math.max(...definition.vertices.map(length));
+  const vertices = definition.vertices.map(v => scale(v, 1 / maxLength));
+
+  const faces = findFaces(vertices);
+  let valueNormals;
+
+  if (definition.readVertices) {
+    // Each vertex carries a value; faces show the values of their corners
+    valueNormals = vertices.map((v, index) => ({
+      normal: normalize(v),
+      value: index + 1,
+      label: String(index + 1)
+    }));
+
+    faces.forEach(face => {
+      face.labels = face.indices.map(index => String(index + 1));
+      // The face that lies on the table reads as its opposite vertex
+      const opposite = vertices.findIndex((v, index) => !face.indices.includes(index));
+      face.value = opposite + 1;
+    });
+  } else {
+    assignFaceValues(faces, definition);
+
+    faces.forEach(face => {
+      face.label = formatLabel(face.value, definition);
+    });
+
+    valueNormals = faces.map(face => ({
+      normal: face.normal,
+      value: face.value,
+      label: face.label
+    }));
+  }
+
+  return {
+    type,
+    sides: definition.sides,
+    radius: definition.radius,
+    vertices,
+    faces,
+    valueNormals,
+    maxTilt: getMaxTilt(valueNormals),
+    readVertices: !!definition.readVertices
+  };
+}
+
+/**
+ * Assign a value to every face so opposite faces add up to sides + 1
+ * @param {Array} faces - Faces found for the shape
+ * @param {Object} definition - Raw shape definition
+ */
+function assignFaceValues(faces, definition) {
+  if (definition.faceValues) {
+    faces.forEach(face => {
+      const match = definition.faceValues.find(entry => dot(entry.normal, face.normal) > 1 - EPSILON);
+      face.value = match.value;
+    });
+    return;
+  }
+
+  const step = definition.valueStep || 1;
+  const offset = definition.valueOffset || 0;
+
+  // Walk faces from top to bottom so values are laid out predictably
+  const ordered = [...faces].sort((a, b) => {
+    const heightDelta = b.normal[1] - a.normal[1];
+    if (Math.abs(heightDelta) > EPSILON) return heightDelta;
+    return Math.atan2(a.normal[2], a.normal[0]) - Math.atan2(b.normal[2], b.normal[0]);
+  });
+
+  let nextValue = 1;
+
+  ordered.forEach(face => {
+    if (face.value !== undefined) return;
+
+    const opposite = faces.find(other => dot(other.normal, face.normal) < -1 + EPSILON);
+
+    face.value = nextValue * step + offset;
+    if (opposite) {
+      opposite.value = (definition.sides + 1 - nextValue) * step + offset;
+    }
+
+    nextValue++;
+  });
+}
+
+/**
+ * Format the label printed on a face
+ * @param {number} value - Face value
+ * @param {Object} definition - Raw shape definition
+ * @returns {string} - Face label
+ */
+function formatLabel(value, definition) {
+  if (definition.valueStep) {
+    return String(value).padStart(2, '0');
+  }
+  return String(value);
+}
+
+/**
+ * Find the faces of a convex polyhedron centered on the origin
+ * @param {Array} vertices - Vertex positions
+ * @returns {Array} - Faces with vertex indices (counter-clockwise from outside) and normal
+ */
+function findFaces(vertices) {
+  const faces = [];
+  const count = vertices.length;
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      for (let k = j + 1; k < count; k++) {
+        let normal = cross(subtract(vertices[j], vertices[i]), subtract(vertices[k], vertices[i]));
+        if (length(normal) < EPSILON) continue;
+
+        normal = normalize(normal);
+        let distance = dot(normal, vertices[i]);
+
+        // Point the normal away from the origin
+        if (distance < 0) {
+          normal = scale(normal, -1);
+          distance = -distance;
+        }
+
+        // Only a supporting plane of the hull is a face
+        if (vertices.some(v => dot(normal, v) > distance + EPSILON)) continue;
+
+        // Skip planes that were already found from another triple
+        if (faces.some(face => dot(face.normal, normal) > 1 - EPSILON)) continue;
+
+        const indices = [];
+        vertices.forEach((v, index) => {
+          if (Math.abs(dot(normal, v) - distance) < EPSILON) {
+            indices.push(index);
+          }
+        });
+
+        faces.push({
+          indices: sortAroundNormal(vertices, indices, normal),
+          normal
+        });
+      }
+    }
+  }
+
+  return faces;
+}
+
+/**
+ * Sort face vertices counter-clockwise when seen from outside
+ * @param {Array} vertices - Vertex positions
+ * @param {Array} indices - Indices of the face vertices
+ * @param {Array} normal - Outward face normal
+ * @returns {Array} - Sorted indices
+ */
+function sortAroundNormal(vertices, indices, normal) {
+  const center = centroid(indices.map(index => vertices[index]));
+  const axisA = normalize(subtract(vertices[indices[0]], center));
+  const axisB = cross(normal, axisA);
+
+  const angleOf = index => {
+    const offset = subtract(vertices[index], center);
+    return Math.atan2(dot(offset, axisB), dot(offset, axisA));
+  };
+
+  return [...indices].sort((a, b) => angleOf(a) - angleOf(b));
+}
+
+/**
+ * Create the vertices of a pentagonal trapezohedron (d10)
+ * @returns {Array} - Vertex positions
+ */
+function createTrapezohedronVertices() {
+  const vertices = [[0, D10_APEX, 0], [0, -D10_APEX, 0]];
+
+  for (let i = 0; i < 10; i++) {
+    const angle = (i * Math.PI) / 5;
+    const height = i % 2 === 0 ? D10_RING : -D10_RING;
+    vertices.push([Math.cos(angle), height, Math.sin(angle)]);
+  }
+
+  return vertices;
+}
+
+/**
+ * Get the center of a face
+ * @param {Object} shape - Shape description
+ * @param {Object} face - Face of the shape
+ * @returns {Array} - Face centroid
+ */
+export function getFaceCenter(shape, face) {
+  return centroid(face.indices.map(index => shape.vertices[index]));
+}
+
+/**
+ * Find the value table entry pointing most directly up for a given orientation
+ * @param {Array} valueNormals - Value table ({ normal, value } entries in local space)
+ * @param {Object} rotation - Orientation quaternion ({x, y, z, w})
+ * @returns {Object} - Index of the entry and its alignment with up (cosine of the tilt)
+ */
+export function getUpFaceIndex(valueNormals, rotation) {
+  const up = getLocalUp(rotation);
+
+  let index = 0;
+  let alignment = -Infinity;
+
+  valueNormals.forEach((entry, entryIndex) => {
+    const entryAlignment = dot(up, entry.normal);
+    if (entryAlignment > alignment) {
+      alignment = entryAlignment;
+      index = entryIndex;
+    }
+  });
+
+  return { index, alignment };
+}
+
+/**
+ * Get the lowest point of a rotated shape relative to its center
+ * @param {Object} shape - Shape description
+ * @param {Object} rotation - Orientation quaternion ({x, y, z, w})
+ * @param {number} radius - Circumradius of the dice
+ * @returns {number} - Height offset of the lowest vertex
+ */
+export function getLowestVertexOffset(shape, rotation, radius) {
+  const { x, y, z, w } = rotation;
+
+  // Y component of each vertex rotated by the quaternion
+  const heights = shape.vertices.map(v =>
+    (2 * (x * y + w * z)) * v[0] +
+    (1 - 2 * (x * x + z * z)) * v[1] +
+    (2 * (y * z - w * x)) * v[2]
+  );
+
+  return Math.min(...heights) * radius;
+}
+
+/**
+ * Half the smallest angle between two value directions. A die tilted this
+ * far is exactly between two readings.
+ * @param {Array} valueNormals - Value table
+ * @returns {number} - Angle in radians
+ */
+function getMaxTilt(valueNormals) {
+  let maxAlignment = -1;
+
+  valueNormals.forEach((a, i) => {
+    valueNormals.forEach((b, j) => {
+      if (i !== j) {
+        maxAlignment = Math.max(maxAlignment, dot(a.normal, b.normal));
+      }
+    });
+  });
+
+  return Math.acos(Math.min(1, maxAlignment)) / 2;
+}
+
+/**
+ * Express the world up direction in the local space of a rotated body
+ * @param {Object} rotation - Orientation quaternion ({x, y, z, w})
+ * @returns {Array} - Local up vector
+ */
+function getLocalUp(rotation) {
+  // Rotate (0, 1, 0) by the conjugate quaternion
+  const { x, y, z, w } = rotation;
+  return [
+    2 * (x * y + w * z),
+    1 - 2 * (x * x + z * z),
+    2 * (y * z - w * x)
+  ];
+}
+
+// Small vector helpers working on [x, y, z] arrays
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scale(v, s) {
+  return [v[0] * s, v[1] * s, v[2] * s];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+function length(v) {
+  return Math.sqrt(dot(v, v));
+}
+
+function normalize(v) {
+  return scale(v, 1 / length(v));
+}
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+  return scale(sum, 1 / points.length);
+}
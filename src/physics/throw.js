@@ -0,0 +1,157 @@
+/**
+ * Throw parameters for Neon Dice 2000
+ *
+ * All randomness of a throw goes through the generator passed in, so the same
+ * seed and config always produce the same spawn positions, impulses and torques.
+ */
+
+import * as CONFIG from '../config.js';
+import { getTableBounds } from './world.js';
+
+// Golden angle, spreads dice released together evenly around the release point
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Compute the throw for one die
+ * @param {number} index - Index of the die in the pool
+ * @param {Function} random - Seeded generator returning numbers in [0, 1)
+ * @param {Object} [gesture] - Drag gesture ({ origin, direction, speed }); random throw if omitted
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Position, rotation, impulse and torque for the die
+ */
+export function createThrow(index, random, gesture, config = CONFIG) {
+  if (gesture) {
+    return createGestureThrow(index, random, gesture, config);
+  }
+
+  const { THROW } = config;
+
+  const column = index % THROW.perRow;
+  const row = Math.floor(index / THROW.perRow);
+
+  // Position dice with more variation
+  const position = {
+    x: THROW.origin.x + column * THROW.spacing.x + range(random, -THROW.jitter, THROW.jitter),
+    y: THROW.origin.y + column * THROW.spacing.y,
+    z: THROW.origin.z + column * THROW.spacing.z + row * THROW.rowSpacing + range(random, -THROW.jitter, THROW.jitter)
+  };
+
+  const rotation = randomRotation(random);
+
+  // Apply impulse for rolling - stronger and more varied
+  const force = range(random, THROW.force.min, THROW.force.max);
+  const impulse = {
+    x: force * range(random, THROW.impulse.x.min, THROW.impulse.x.max),
+    y: range(random, THROW.impulse.y.min, THROW.impulse.y.max),
+    z: force * range(random, THROW.impulse.z.min, THROW.impulse.z.max)
+  };
+
+  // Apply stronger random rotation
+  const torque = {
+    x: (random() - 0.5) * THROW.torque,
+    y: (random() - 0.5) * THROW.torque,
+    z: (random() - 0.5) * THROW.torque
+  };
+
+  return { position, rotation, impulse, torque };
+}
+
+/**
+ * Compute the throw for one die released by a drag gesture
+ * @param {number} index - Index of the die in the pool
+ * @param {Function} random - Seeded generator returning numbers in [0, 1)
+ * @param {Object} gesture - Release point, direction (unit vector on the table) and speed
+ * @param {Object} config - Settings, shaped like config.js
+ * @returns {Object} - Position, rotation, impulse and torque for the die
+ */
+function createGestureThrow(index, random, gesture, config) {
+  const { THROW, GESTURE } = config;
+  const { origin, direction, speed } = gesture;
+
+  // Keep the release point inside the walls
+  const limit = getTableBounds(config).size / 2 - GESTURE.spread * 3;
+  const angle = index * GOLDEN_ANGLE;
+  const distance = GESTURE.spread * Math.sqrt(index);
+
+  const position = {
+    x: clamp(origin.x, -limit, limit) + Math.cos(angle) * distance,
+    y: getTableBounds(config).floorTop + GESTURE.releaseHeight,
+    z: clamp(origin.z, -limit, limit) + Math.sin(angle) * distance
+  };
+
+  const rotation = randomRotation(random);
+
+  // The release velocity drives the impulse, with a little variation per die
+  const force = Math.min(speed * GESTURE.impulsePerSpeed, GESTURE.maxImpulse) * range(random, 0.9, 1.1);
+  const impulse = {
+    x: direction.x * force,
+    y: range(random, THROW.impulse.y.min, THROW.impulse.y.max),
+    z: direction.z * force
+  };
+
+  // Spin forward around the axis perpendicular to the throw (up x direction),
+  // plus some random tumble
+  const spin = speed * GESTURE.spinPerSpeed;
+  const torque = {
+    x: direction.z * spin + (random() - 0.5) * THROW.torque,
+    y: (random() - 0.5) * THROW.torque,
+    z: -direction.x * spin + (random() - 0.5) * THROW.torque
+  };
+
+  return { position, rotation, impulse, torque };
+}
+
+/**
+ * Reset a die and apply a computed throw to it
+ * @param {Object} die - Dice controller
+ * @param {Object} params - Throw from createThrow
+ */
+export function applyThrow(die, params) {
+  const { position, rotation, impulse, torque } = params;
+
+  die.reset(position.x, position.y, position.z, rotation);
+  die.applyImpulse(impulse.x, impulse.y, impulse.z);
+  die.applyTorque(torque.x, torque.y, torque.z);
+}
+
+/**
+ * Sample a number in [min, max)
+ * @param {Function} random - Generator
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Sampled number
+ */
+function range(random, min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Clamp a number to a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Sample a uniformly distributed orientation
+ * @param {Function} random - Generator
+ * @returns {Object} - Unit quaternion {x, y, z, w}
+ */
+function randomRotation(random) {
+  const u1 = random();
+  const u2 = random() * Math.PI * 2;
+  const u3 = random() * Math.PI * 2;
+  const a = Math.sqrt(1 - u1);
+  const b = Math.sqrt(u1);
+
+  return {
+    x: a * Math.sin(u2),
+    y: a * Math.cos(u2),
+    z: b * Math.sin(u3),
+    w: b * Math.cos(u3)
+  };
+}
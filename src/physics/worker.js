@@ -0,0 +1,135 @@
+/**
+ * Physics worker for Neon Dice 2000
+ *
+ * Owns the Rapier world when physics runs off the main thread (see remote.js).
+ * Commands arrive in batches; after every batch that stepped the world, the
+ * state of each die and the impacts of those steps are posted back, the state
+ * in a transferred buffer.
+ */
+
+import { setupPhysicsWorld, getContactKind } from './world.js';
+import { createDiceBody } from './body.js';
+import { predictLanding } from './predict.js';
+import { BODY_STATE_SIZE, FORWARDED_METHODS } from './remote.js';
+import { applySettings } from '../utils/settings.js';
+
+let RAPIER = null;
+let eventQueue = null;
+let world = null;
+let bodies = [];
+let generation = 0;
+
+self.onmessage = async (e) => {
+  const message = e.data;
+
+  if (message.type === 'init') {
+    try {
+      RAPIER = await importFirst(message.urls);
+      await RAPIER.init();
+      eventQueue = new RAPIER.EventQueue(true);
+      self.postMessage({ type: 'ready' });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  } else if (message.type === 'batch') {
+    runBatch(message.commands);
+  }
+};
+
+/**
+ * Run a batch of commands from the main thread
+ * @param {Array<Object>} commands - Commands in the order they were queued
+ */
+function runBatch(commands) {
+  const impacts = [];
+  let stepped = false;
+
+  commands.forEach(command => {
+    switch (command.type) {
+      case 'reset':
+        if (world) {
+          world.free();
+        }
+        // The worker has its own copy of the config; keep it in line with the table
+        applySettings(command.settings);
+        world = setupPhysicsWorld(RAPIER);
+        bodies = command.types.map(type => createDiceBody(RAPIER, world, type));
+        generation = command.generation;
+        break;
+
+      case 'body':
+        if (bodies[command.index] && FORWARDED_METHODS.includes(command.method)) {
+          bodies[command.index][command.method](...command.args);
+        }
+        break;
+
+      case 'step':
+        world.step(eventQueue);
+        eventQueue.drainContactForceEvents(event => {
+          const handle1 = event.collider1();
+          const handle2 = event.collider2();
+          const kind = getContactKind(world, handle1, handle2);
+
+          if (kind) {
+            impacts.push([kind, event.totalForceMagnitude(), `${handle1}:${handle2}`]);
+          }
+        });
+        stepped = true;
+        break;
+
+      case 'predict':
+        self.postMessage({
+          type: 'prediction',
+          id: command.id,
+          rotations: predictLanding(RAPIER, world, command.indices.map(index => bodies[index]))
+        });
+        break;
+    }
+  });
+
+  if (stepped) {
+    postState(impacts);
+  }
+}
+
+/**
+ * Send the state of every die back to the main thread
+ * @param {Array} impacts - [kind, force, key] of every hard contact since the last state
+ */
+function postState(impacts) {
+  const states = new Float32Array(bodies.length * BODY_STATE_SIZE);
+
+  bodies.forEach((body, index) => {
+    const offset = index * BODY_STATE_SIZE;
+    const translation = body.translation();
+    const rotation = body.rotation();
+    const linvel = body.linvel();
+    const angvel = body.angvel();
+
+    states.set([
+      translation.x, translation.y, translation.z,
+      rotation.x, rotation.y, rotation.z, rotation.w,
+      linvel.x, linvel.y, linvel.z,
+      angvel.x, angvel.y, angvel.z
+    ], offset);
+  });
+
+  self.postMessage({ type: 'state', generation, buffer: states.buffer, impacts }, [states.buffer]);
+}
+
+/**
+ * Import the first module that loads from a list of URLs
+ * @param {Array<string>} urls - Module URLs in order of preference
+ * @returns {Promise<Object>} - Module namespace
+ */
+async function importFirst(urls) {
+  for (const url of urls) {
+    try {
+      return await import(url);
+    } catch (err) {
+      // Try the next source
+    }
+  }
+
+  throw new Error('Failed to load Rapier physics in the worker');
+}
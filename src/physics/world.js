@@ -2,19 +2,26 @@
  * Physics world setup for Neon Dice 2000
  */
 
-import { PHYSICS, FLOOR } from '../config.js';
+import * as CONFIG from '../config.js';
 import { log } from '../utils/debug.js';
 
+// What every collider is ('floor', 'wall' or 'dice'), per world, so contact
+// events can be told apart
+const colliderKinds = new WeakMap();
+
 /**
  * Setup the physics world with floor and boundaries
  * @param {Object} RAPIER - The Rapier physics library
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
  * @returns {Object} - The initialized physics world
  */
-export function setupPhysicsWorld(RAPIER) {
+export function setupPhysicsWorld(RAPIER, config = CONFIG) {
   log('Creating physics world');
+  const { PHYSICS } = config;
   
   // Create physics world with gravity
   const world = new RAPIER.World(PHYSICS.gravity);
+  world.timestep = PHYSICS.timestep;
   
   // Create floor rigid body
   const floorBodyDesc = RAPIER.RigidBodyDesc.fixed()
@@ -27,30 +34,76 @@ export function setupPhysicsWorld(RAPIER) {
     PHYSICS.floorSize.y,
     PHYSICS.floorSize.z
   );
-  world.createCollider(floorColliderDesc, floorBody);
+  tagCollider(world, world.createCollider(floorColliderDesc, floorBody), 'floor');
   
   // Create a single composite boundary to contain dice
   // This is more efficient than creating individual walls
-  createCompositeBoundary(RAPIER, world);
+  createCompositeBoundary(RAPIER, world, config);
   
   log('Physics world created successfully');
   return world;
 }
 
+/**
+ * Remember what a collider is, for contact events
+ * @param {Object} world - Rapier physics world
+ * @param {Object} collider - Collider in that world
+ * @param {string} kind - 'floor', 'wall' or 'dice'
+ */
+export function tagCollider(world, collider, kind) {
+  if (!colliderKinds.has(world)) {
+    colliderKinds.set(world, new Map());
+  }
+  colliderKinds.get(world).set(collider.handle, kind);
+}
+
+/**
+ * Describe a contact between two colliders by what the dice hit
+ * @param {Object} world - Rapier physics world
+ * @param {number} handle1 - Handle of the first collider
+ * @param {number} handle2 - Handle of the second collider
+ * @returns {string|null} - 'dice', 'floor' or 'wall'; null for untagged colliders
+ */
+export function getContactKind(world, handle1, handle2) {
+  const kinds = colliderKinds.get(world);
+  if (!kinds) return null;
+  
+  const kind1 = kinds.get(handle1);
+  const kind2 = kinds.get(handle2);
+  if (!kind1 || !kind2) return null;
+  
+  return kind1 === 'dice' ? kind2 : kind1;
+}
+
+/**
+ * Get the extent of the playing area enclosed by the boundary walls
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Width of the square area and height of the floor surface
+ */
+export function getTableBounds(config = CONFIG) {
+  const { PHYSICS, FLOOR } = config;
+  return {
+    size: FLOOR.size * 0.7, // 70% of the floor size (increased from 60%)
+    floorTop: PHYSICS.floorSize.y
+  };
+}
+
 /**
  * Create a composite boundary to keep dice within the playing area
  * @param {Object} RAPIER - The Rapier physics library
  * @param {Object} world - The physics world
+ * @param {Object} config - Settings, shaped like config.js
  */
-function createCompositeBoundary(RAPIER, world) {
+function createCompositeBoundary(RAPIER, world, config) {
   log('Creating composite boundary');
+  const { PHYSICS } = config;
   
   // Create a single static rigid body for all boundaries
   const boundaryBodyDesc = RAPIER.RigidBodyDesc.fixed();
   const boundaryBody = world.createRigidBody(boundaryBodyDesc);
   
   // Size of the playing area (should be slightly larger than the visible floor)
-  const areaSize = FLOOR.size * 0.7; // 70% of the floor size (increased from 60%)
+  const areaSize = getTableBounds(config).size;
   const wallHeight = 40;
   const wallThickness = 2;
   
@@ -84,26 +137,10 @@ function createCompositeBoundary(RAPIER, world) {
     areaSize/2
   ).setTranslation(-areaSize/2, wallHeight/2, 0);
   
-  // Create all colliders at once - increased restitution for bouncier walls
-  world.createCollider(frontWallDesc.setRestitution(0.6), boundaryBody);
-  world.createCollider(backWallDesc.setRestitution(0.6), boundaryBody);
-  world.createCollider(rightWallDesc.setRestitution(0.6), boundaryBody);
-  world.createCollider(leftWallDesc.setRestitution(0.6), boundaryBody);
-  
-  // Add a very slight ramp to guide dice back to the center
-  // Reduced slope to prevent excessive movement toward center
-  const rampSlope = 0.05; // Reduced from 0.15
-  
-  // Create a ramp collider (invisible)
-  const rampDesc = RAPIER.ColliderDesc.cuboid(
-    areaSize, // width
-    5, // thickness
-    areaSize // depth
-  )
-  .setTranslation(0, -rampSlope, 0) // Slightly below the floor level
-  .setRotation({ x: rampSlope, y: 0, z: 0 }); // Slight rotation for the ramp
-  
-  world.createCollider(rampDesc.setRestitution(0.3).setFriction(0.7), boundaryBody);
+  // Create all colliders at once
+  [frontWallDesc, backWallDesc, rightWallDesc, leftWallDesc].forEach(wallDesc => {
+    tagCollider(world, world.createCollider(wallDesc.setRestitution(PHYSICS.walls.restitution), boundaryBody), 'wall');
+  });
   
   log('Composite boundary created successfully');
 }
\ No newline at end of file
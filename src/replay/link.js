@@ -0,0 +1,218 @@
+/**
+ * Roll links for Neon Dice 2000
+ *
+ * A roll link carries everything needed to throw a roll again in the URL
+ * hash: notation, seed, gesture, the simulation settings and the result it
+ * should land on. The hash is "#roll=" followed by base64url JSON:
+ *
+ *   { version: 1, notation, seed, algorithm, gesture, values, result, engine, profile, settings }
+ *
+ * settings only lists the values that differ from LINK_DEFAULTS of the link's
+ * version, so a link keeps its meaning when a default in config.js changes.
+ * Whenever a default changes, freeze the old table under a new version.
+ * profile only names the physics profile of the roll; its values are in settings.
+ */
+
+import { flattenSettings, SIMULATION_SETTINGS } from '../utils/settings.js';
+import { hasRandomAlgorithm } from '../utils/random.js';
+
+// Format version written into new links
+export const LINK_VERSION = 1;
+
+// Start of the URL hash of a roll link
+const HASH_PREFIX = '#roll=';
+
+// Simulation settings (see utils/settings.js) as they were when each link version was current
+const LINK_DEFAULTS = {
+  1: {
+    'PHYSICS.gravity.x': 0,
+    'PHYSICS.gravity.y': -9.81,
+    'PHYSICS.gravity.z': 0,
+    'PHYSICS.timestep': 1 / 60,
+    'PHYSICS.floorSize.x': 80,
+    'PHYSICS.floorSize.y': 0.1,
+    'PHYSICS.floorSize.z': 80,
+    // Fixed in the code before it became a setting
+    'PHYSICS.walls.restitution': 0.6,
+    'PHYSICS.dice.size': 1.5,
+    'PHYSICS.dice.restitution': 0.7,
+    'PHYSICS.dice.friction': 0.5,
+    'PHYSICS.dice.linearDamping': 0.3,
+    'PHYSICS.dice.angularDamping': 0.2,
+    'PHYSICS.dice.cockedAngle': 10,
+    'PHYSICS.dice.restHeightTolerance': 0.15,
+    'PHYSICS.dice.debug': false,
+    'THROW.origin.x': 8,
+    'THROW.origin.y': 8,
+    'THROW.origin.z': 8,
+    'THROW.spacing.x': 4,
+    'THROW.spacing.y': 3,
+    'THROW.spacing.z': 3,
+    'THROW.rowSpacing': 4,
+    'THROW.perRow': 5,
+    'THROW.jitter': 1,
+    'THROW.force.min': 18,
+    'THROW.force.max': 23,
+    'THROW.impulse.x.min': -1.1,
+    'THROW.impulse.x.max': -0.9,
+    'THROW.impulse.y.min': 6,
+    'THROW.impulse.y.max': 9,
+    'THROW.impulse.z.min': -1,
+    'THROW.impulse.z.max': -0.7,
+    'THROW.torque': 15,
+    'GESTURE.tapDistance': 10,
+    'GESTURE.tapTime': 250,
+    'GESTURE.sampleWindow': 80,
+    'GESTURE.minSpeed': 4,
+    'GESTURE.impulsePerSpeed': 0.6,
+    'GESTURE.maxImpulse': 40,
+    'GESTURE.spinPerSpeed': 0.25,
+    'GESTURE.releaseHeight': 6,
+    'GESTURE.spread': 1.5,
+    'SETTLE.restTime': 500,
+    'SETTLE.timeout': 15000,
+    'SETTLE.rerollInvalid': false,
+    'SETTLE.maxRerolls': 3,
+    'FLOOR.size': 160,
+    'DICE_POOL.maxDice': 20
+  }
+};
+
+/**
+ * Describe a settled roll as a link
+ * @param {Object} detail - rollcomplete details of the roll
+ * @param {Object} settings - Simulation settings the roll was thrown with (from flattenSettings)
+ * @param {string} engine - Physics engine version, e.g. "0.15.0"
+ * @returns {Object} - Link contents
+ */
+export function createRollLink(detail, settings, engine) {
+  if (detail.manual || detail.seed === null) {
+    throw new Error('Dice thrown by hand cannot be shared as a link: their throw has no seed');
+  }
+  if (detail.dice.some(die => die.held)) {
+    throw new Error('Rolls with held dice cannot be shared as a link: the held dice are not part of it');
+  }
+
+  const defaults = LINK_DEFAULTS[LINK_VERSION];
+  const changed = {};
+  Object.entries(settings).forEach(([path, value]) => {
+    if (defaults[path] !== value) changed[path] = value;
+  });
+
+  const values = detail.dice.map(die => die.value);
+
+  return {
+    version: LINK_VERSION,
+    notation: detail.notation,
+    seed: detail.seed,
+    algorithm: detail.algorithm,
+    gesture: detail.gesture || null,
+    // Only predetermined rolls were forced onto their values
+    values: detail.predetermined ? values : null,
+    result: values,
+    engine,
+    profile: detail.profile || '',
+    settings: changed
+  };
+}
+
+/**
+ * Turn link contents into a URL hash
+ * @param {Object} link - Link contents from createRollLink
+ * @returns {string} - Hash starting with "#roll="
+ */
+export function encodeRollLink(link) {
+  const bytes = new TextEncoder().encode(JSON.stringify(link));
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Check whether a URL or hash holds a roll link
+ * @param {string} text - URL or hash
+ * @returns {boolean} - True if there is a roll link to decode
+ */
+export function hasRollLink(text) {
+  return typeof text === 'string' && text.includes(HASH_PREFIX);
+}
+
+/**
+ * Read a roll link back
+ * @param {string} text - URL or hash containing "#roll="
+ * @returns {Object} - Link contents, with settings completed from the defaults of its version
+ */
+export function decodeRollLink(text) {
+  if (!hasRollLink(text)) {
+    throw new Error('Not a roll link');
+  }
+
+  let link;
+  try {
+    const encoded = text.slice(text.indexOf(HASH_PREFIX) + HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    link = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error('This roll link is damaged or incomplete');
+  }
+
+  if (!link || !Number.isInteger(link.version)) {
+    throw new Error('This roll link is damaged or incomplete');
+  }
+  if (!LINK_DEFAULTS[link.version]) {
+    throw new Error(`This roll link needs a newer version of Neon Dice 2000 (link version ${link.version}, supported up to ${LINK_VERSION})`);
+  }
+  if (typeof link.notation !== 'string' || !Array.isArray(link.result) || (link.settings && typeof link.settings !== 'object')) {
+    throw new Error('This roll link is damaged or incomplete');
+  }
+
+  // Everything that drives the throw is checked, as the hash may come from anyone
+  if (
+    !(typeof link.seed === 'string' || Number.isFinite(link.seed)) ||
+    typeof link.algorithm !== 'string' || !hasRandomAlgorithm(link.algorithm) ||
+    !(link.gesture === null || link.gesture === undefined || isGesture(link.gesture))
+  ) {
+    throw new Error('This roll link is damaged or incomplete');
+  }
+
+  return {
+    ...link,
+    settings: { ...LINK_DEFAULTS[link.version], ...link.settings }
+  };
+}
+
+/**
+ * Check that a gesture from a link can drive a throw
+ * @param {*} gesture - Gesture from the link
+ * @returns {boolean} - True for { origin: { x, z }, direction: { x, z }, speed } with finite numbers
+ */
+function isGesture(gesture) {
+  const isPoint = point => !!point && Number.isFinite(point.x) && Number.isFinite(point.z);
+  return typeof gesture === 'object' && isPoint(gesture.origin) && isPoint(gesture.direction) && Number.isFinite(gesture.speed);
+}
+
+/**
+ * Compare the settings of a link with the ones in effect
+ * @param {Object} link - Decoded link
+ * @param {Object} [config] - Settings in effect, shaped like config.js (default config.js itself)
+ * @returns {Object} - { changes: values to apply by path, problems: reasons the throw cannot be reproduced exactly }
+ */
+export function compareLinkSettings(link, config) {
+  const current = flattenSettings(SIMULATION_SETTINGS, config);
+  const changes = {};
+  const problems = [];
+
+  Object.entries(link.settings).forEach(([path, value]) => {
+    if (!(path in current)) {
+      problems.push(`it uses the setting ${path}, which this version no longer has`);
+    } else if (current[path] !== value) {
+      // The loop runs at a fixed step chosen when the table starts
+      if (path === 'PHYSICS.timestep') {
+        problems.push(`it was thrown with a physics step of ${Number(value).toFixed(4)} s instead of ${current[path].toFixed(4)} s`);
+      } else {
+        changes[path] = value;
+      }
+    }
+  });
+
+  return { changes, problems };
+}
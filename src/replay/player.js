@@ -0,0 +1,208 @@
+/**
+ * Roll replay for Neon Dice 2000
+ *
+ * Plays a recording back with its own dice meshes, moved straight from the
+ * recorded frames; no physics runs. Frames are interpolated by time, so slow
+ * motion and scrubbing stay smooth.
+ */
+
+import { createDice } from '../physics/dice.js';
+import { VALUES_PER_DIE } from './recording.js';
+
+/**
+ * Create a player for a recording
+ * @param {Object} options - Player options
+ * @param {Object} options.THREE - Three.js library
+ * @param {Object} options.RAPIER - Rapier physics library (only used for its types)
+ * @param {Object} options.scene - Three.js scene the replay dice are added to
+ * @param {Object} options.recording - Recording checked by parseRecording
+ * @param {Object} options.textureCache - Texture cache of the table
+ * @param {Object} [options.config] - Settings of the table, shaped like config.js (default config.js itself)
+ * @param {Function} [options.onEnd] - Called when playback reaches the end
+ * @returns {Object} - Player with update, play, pause, seek, setSpeed and dispose methods
+ */
+export function createReplayPlayer(options) {
+  const { THREE, RAPIER, scene, recording } = options;
+  const { times, frames } = recording;
+  const duration = times[times.length - 1];
+
+  // Stand-in bodies the dice read their transform from
+  const bodies = recording.dice.map(() => createPlaybackBody());
+
+  const dice = recording.dice.map((entry, index) => {
+    const die = createDice(THREE, RAPIER, scene, null, entry.color, {
+      type: entry.type,
+      body: bodies[index],
+      textureCache: options.textureCache,
+      config: options.config
+    });
+
+    // Put every value on the face it was on; each swap fixes one entry
+    entry.faces.forEach((value, faceIndex) => die.remapFace(faceIndex, value));
+    die.setHeld(entry.held);
+    return die;
+  });
+
+  let time = 0;
+  let speed = 1;
+  let playing = false;
+
+  /**
+   * Move the bodies to a recorded frame
+   * @param {number} index - Frame index
+   */
+  function applyFrame(index) {
+    const frame = frames[index];
+    bodies.forEach((body, dieIndex) => body.set(frame, dieIndex * VALUES_PER_DIE));
+  }
+
+  /**
+   * Show the dice as they were at the current time
+   */
+  function render() {
+    // Last frame at or before the current time
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (times[middle] <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const next = Math.min(low + 1, times.length - 1);
+    const span = times[next] - times[low];
+    const alpha = span > 0 ? (time - times[low]) / span : 1;
+
+    applyFrame(low);
+    dice.forEach(die => die.storePreviousState());
+    applyFrame(next);
+    dice.forEach(die => die.update(alpha));
+  }
+
+  render();
+
+  return {
+    /**
+     * Advance playback by the time since the previous frame
+     * @param {number|null} frameTime - Wall-clock time since the previous frame in ms
+     */
+    update(frameTime) {
+      if (playing && frameTime !== null) {
+        time += frameTime * speed;
+        if (time >= duration) {
+          time = duration;
+          playing = false;
+          if (options.onEnd) options.onEnd();
+        }
+      }
+      render();
+    },
+
+    /**
+     * Start or resume playback; starts over when at the end
+     */
+    play() {
+      if (time >= duration) {
+        time = 0;
+      }
+      playing = true;
+    },
+
+    /**
+     * Pause playback
+     */
+    pause() {
+      playing = false;
+    },
+
+    /**
+     * Jump to a point in the recording
+     * @param {number} value - Time in ms from the throw
+     */
+    seek(value) {
+      time = Math.max(0, Math.min(duration, value));
+      render();
+    },
+
+    /**
+     * Set the playback speed
+     * @param {number} value - Speed factor (1 is real time)
+     */
+    setSpeed(value) {
+      if (!(value > 0)) {
+        throw new Error(`Invalid playback speed: ${value}`);
+      }
+      speed = value;
+    },
+
+    /**
+     * Get the current playback position
+     * @returns {number} - Time in ms from the throw
+     */
+    getTime() {
+      return time;
+    },
+
+    /**
+     * Get the length of the recording
+     * @returns {number} - Duration in ms
+     */
+    getDuration() {
+      return duration;
+    },
+
+    /**
+     * Check whether playback is running
+     * @returns {boolean} - True while playing
+     */
+    isPlaying() {
+      return playing;
+    },
+
+    /**
+     * Remove the replay dice from the scene
+     */
+    dispose() {
+      dice.forEach(die => die.dispose());
+    },
+
+    // Replay dice controllers (for lighting and quality settings)
+    dice,
+
+    // The recording being played
+    recording
+  };
+}
+
+/**
+ * Create an object with the read-only part of the rigid body API, moved by hand
+ * @returns {Object} - Playback body
+ */
+function createPlaybackBody() {
+  let translation = { x: 0, y: 0, z: 0 };
+  let rotation = { x: 0, y: 0, z: 0, w: 1 };
+  const still = { x: 0, y: 0, z: 0 };
+
+  return {
+    translation: () => ({ ...translation }),
+    rotation: () => ({ ...rotation }),
+    linvel: () => ({ ...still }),
+    angvel: () => ({ ...still }),
+
+    // Held replay dice only change their look
+    setBodyType() {},
+
+    /**
+     * Take over a die's transform from a recorded frame
+     * @param {Array<number>} frame - Recorded frame
+     * @param {number} offset - Offset of this die in the frame
+     */
+    set(frame, offset) {
+      translation = { x: frame[offset], y: frame[offset + 1], z: frame[offset + 2] };
+      rotation = { x: frame[offset + 3], y: frame[offset + 4], z: frame[offset + 5], w: frame[offset + 6] };
+    }
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Roll recording for Neon Dice 2000
+ *
+ * Captures the position and rotation of every die after each physics state
+ * from the throw until the roll settles, together with everything needed to
+ * identify the roll (notation, seed, config). Recordings are plain objects
+ * that serialize to compact JSON:
+ *
+ *   {
+ *     version: 1,
+ *     roll: { notation, seed, algorithm, gesture, predetermined, manual, profile },
+ *     result: { values, total, breakdown, valid },
+ *     config: { PHYSICS, THROW },
+ *     dice: [{ type, color, held, faces }],   // faces: value of each value table entry
+ *     times: [ms, ...],                        // simulated time of each frame
+ *     frames: [[x, y, z, qx, qy, qz, qw, ...], ...] // 7 numbers per die per frame
+ *   }
+ */
+
+import * as CONFIG from '../config.js';
+import { log } from '../utils/debug.js';
+import { DICE_TYPES, getDiceShape } from '../physics/shapes.js';
+
+// Format version written into every recording
+export const RECORDING_VERSION = 1;
+
+// Numbers stored per die in a frame
+export const VALUES_PER_DIE = 7;
+
+/**
+ * Create a recorder for one roll at a time
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - Recorder with start, capture, finish, cancel and isRecording methods
+ */
+export function createRollRecorder(config = CONFIG) {
+  const { PHYSICS, THROW, REPLAY } = config;
+
+  // Recording in progress (null when idle)
+  let current = null;
+
+  const positionScale = 10 ** REPLAY.positionDecimals;
+  const rotationScale = 10 ** REPLAY.rotationDecimals;
+
+  /**
+   * Append the current transform of every die
+   * @param {number} now - Current simulated time in ms
+   */
+  function addFrame(now) {
+    const frame = [];
+    current.dice.forEach(die => {
+      const position = die.body.translation();
+      const rotation = die.body.rotation();
+      frame.push(
+        Math.round(position.x * positionScale) / positionScale,
+        Math.round(position.y * positionScale) / positionScale,
+        Math.round(position.z * positionScale) / positionScale,
+        Math.round(rotation.x * rotationScale) / rotationScale,
+        Math.round(rotation.y * rotationScale) / rotationScale,
+        Math.round(rotation.z * rotationScale) / rotationScale,
+        Math.round(rotation.w * rotationScale) / rotationScale
+      );
+    });
+
+    current.times.push(Math.round(now - current.startedAt));
+    current.frames.push(frame);
+  }
+
+  return {
+    /**
+     * Start recording a roll. A recording still in progress is dropped.
+     * @param {Object} roll - { notation, seed, algorithm, gesture, predetermined, manual, profile }
+     * @param {Array} dice - Dice controllers on the table
+     * @param {Array<number>} colors - Color of each die
+     * @param {number} now - Current simulated time in ms
+     */
+    start(roll, dice, colors, now) {
+      // A copy, so later settings changes do not rewrite what the roll was thrown with
+      const thrownWith = structuredClone({ PHYSICS, THROW });
+      current = { roll, dice, colors, config: thrownWith, startedAt: now, times: [], frames: [] };
+      addFrame(now);
+    },
+
+    /**
+     * Record the dice after a physics state has been applied
+     * @param {number} now - Current simulated time in ms
+     */
+    capture(now) {
+      if (!current || now - current.startedAt > REPLAY.maxDuration) return;
+      addFrame(now);
+    },
+
+    /**
+     * Finish the recording once the roll has settled
+     * @param {Object} detail - rollcomplete details of the roll
+     * @returns {Object|null} - The recording, or null if nothing was being recorded
+     */
+    finish(detail) {
+      if (!current) return null;
+
+      const { roll, dice, colors, config, times, frames } = current;
+      current = null;
+
+      log(`Recorded ${frames.length} frames`);
+      return {
+        version: RECORDING_VERSION,
+        roll: { ...roll, seed: detail.seed },
+        result: {
+          values: detail.dice.map(die => die.value),
+          total: detail.total,
+          breakdown: detail.breakdown,
+          valid: detail.valid
+        },
+        config,
+        dice: dice.map((die, index) => ({
+          type: die.type,
+          color: colors[index],
+          held: die.isHeld(),
+          faces: die.physics.valueTable.map(entry => entry.value)
+        })),
+        times,
+        frames
+      };
+    },
+
+    /**
+     * Drop the recording in progress
+     */
+    cancel() {
+      current = null;
+    },
+
+    /**
+     * Check whether a roll is being recorded
+     * @returns {boolean} - True between start and finish
+     */
+    isRecording() {
+      return current !== null;
+    }
+  };
+}
+
+/**
+ * Turn a recording into compact JSON
+ * @param {Object} recording - Recording from a recorder
+ * @returns {string} - JSON text
+ */
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Read a recording back from JSON, checking that it can be played
+ * @param {string|Object} input - JSON text or an already parsed recording
+ * @returns {Object} - Recording
+ */
+export function parseRecording(input) {
+  const recording = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!recording || recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording && recording.version}`);
+  }
+  if (!Array.isArray(recording.dice) || !Array.isArray(recording.times) || !Array.isArray(recording.frames)) {
+    throw new Error('Recording is missing its dice or frames');
+  }
+  if (recording.times.length === 0 || recording.times.length !== recording.frames.length) {
+    throw new Error('Recording has no frames or mismatched frame times');
+  }
+
+  // Recordings also come from other players and iframe hosts, so everything
+  // the player builds meshes and transforms from is checked before it starts
+  recording.dice.forEach(checkDie);
+  if (!recording.times.every((time, index) => Number.isFinite(time) && (index === 0 || time >= recording.times[index - 1]))) {
+    throw new Error('Recording frame times must be numbers that never go back');
+  }
+
+  const frameSize = recording.dice.length * VALUES_PER_DIE;
+  if (recording.frames.some(frame => !Array.isArray(frame) || frame.length !== frameSize)) {
+    throw new Error('Recording frames do not match its dice');
+  }
+  if (!recording.frames.every(frame => frame.every(Number.isFinite))) {
+    throw new Error('Recording frames must hold numbers only');
+  }
+
+  return recording;
+}
+
+/**
+ * Check a die of a recording
+ * @param {Object} die - { type, color, held, faces }
+ * @param {number} index - Position of the die, for the error message
+ */
+function checkDie(die, index) {
+  if (!die || !DICE_TYPES.includes(die.type)) {
+    throw new Error(`Recording die ${index + 1} has no known dice type`);
+  }
+  if (!Number.isInteger(die.color) || typeof die.held !== 'boolean') {
+    throw new Error(`Recording die ${index + 1} needs a color and whether it was held`);
+  }
+
+  // Faces relabel the die, so they must hold each of its values once
+  const values = getDiceShape(die.type).valueNormals.map(entry => entry.value).sort((a, b) => a - b);
+  const faces = Array.isArray(die.faces) ? [...die.faces].sort((a, b) => a - b) : [];
+  if (faces.length !== values.length || faces.some((value, face) => value !== values[face])) {
+    throw new Error(`Recording die ${index + 1} has faces that do not fit a ${die.type}`);
+  }
+}
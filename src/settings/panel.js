@@ -0,0 +1,273 @@
+/**
+ * Settings drawer for Neon Dice 2000
+ *
+ * A theme and a physics profile picker, and sliders and color pickers for the settings designers
+ * tune most. Every change is applied to the running table (see updateSettings
+ * in app.js) and saved in this browser, so it is back after a reload (see
+ * utils/overrides.js).
+ */
+
+import { getDefaultSetting } from '../utils/settings.js';
+import { saveSettings } from '../utils/overrides.js';
+import { getThemeDefaults } from '../graphics/themes.js';
+import { PROFILES, getProfileValues } from '../physics/profiles.js';
+
+// Settings in the drawer, by section. Sliders apply and save their value
+// when let go; preview fields are cheap enough to also follow the drag.
+const SECTIONS = [
+  {
+    title: 'DICE',
+    fields: [
+      { path: 'PHYSICS.dice.size', label: 'Size', min: 0.5, max: 4, step: 0.1 },
+      { path: 'PHYSICS.dice.restitution', label: 'Bounce', min: 0, max: 1.5, step: 0.05 },
+      { path: 'PHYSICS.dice.friction', label: 'Friction', min: 0, max: 2, step: 0.05 },
+      { path: 'PHYSICS.dice.linearDamping', label: 'Linear damping', min: 0, max: 2, step: 0.05 },
+      { path: 'PHYSICS.dice.angularDamping', label: 'Angular damping', min: 0, max: 2, step: 0.05 },
+      { path: 'PHYSICS.gravity.y', label: 'Gravity', min: -30, max: -1, step: 0.1 }
+    ]
+  },
+  {
+    title: 'TABLE',
+    fields: [
+      { path: 'FLOOR.gridColor', label: 'Grid color', color: true },
+      { path: 'FLOOR.gridGlow', label: 'Grid glow', color: true },
+      { path: 'FLOOR.gridSize', label: 'Grid density', min: 4, max: 100, step: 1 }
+    ]
+  },
+  {
+    title: 'LIGHT & CAMERA',
+    fields: [
+      { path: 'LIGHTING.ambient.intensity', label: 'Ambient light', min: 0, max: 3, step: 0.05, preview: true },
+      { path: 'LIGHTING.directional.intensity', label: 'Key light', min: 0, max: 3, step: 0.05, preview: true },
+      { path: 'CAMERA.fov', label: 'Field of view', min: 30, max: 120, step: 1, preview: true }
+    ]
+  }
+];
+
+/**
+ * Format a setting for its input
+ * @param {Object} field - Field description
+ * @param {*} value - Setting value
+ * @returns {string} - Input value
+ */
+function formatValue(field, value) {
+  return field.color ? `#${value.toString(16).padStart(6, '0')}` : String(value);
+}
+
+/**
+ * Build the settings drawer
+ * @param {HTMLElement} element - Drawer element (filled by this function)
+ * @param {HTMLElement} button - Button opening and closing the drawer
+ * @param {Object} table - Table controller returned by mount
+ * @returns {Object} - Drawer with refresh and dispose methods
+ */
+export function createSettingsPanel(element, button, table) {
+  const fields = SECTIONS.flatMap(section => section.fields);
+  const inputs = new Map();
+
+  element.innerHTML = '';
+
+  const themeLabel = document.createElement('label');
+  const themeName = document.createElement('span');
+  themeName.textContent = 'THEME';
+  const themeSelect = document.createElement('select');
+  themeSelect.className = 'theme-select';
+  ['', ...table.getSetting('THEME.choices')].forEach(name => {
+    themeSelect.appendChild(new Option(name ? name.toUpperCase() : 'DEFAULT', name));
+  });
+  themeLabel.append(themeName, themeSelect);
+  element.appendChild(themeLabel);
+
+  themeSelect.addEventListener('change', () => switchTheme(themeSelect.value));
+
+  const profileLabel = document.createElement('label');
+  const profileName = document.createElement('span');
+  profileName.textContent = 'FEEL';
+  const profileSelect = document.createElement('select');
+  profileSelect.className = 'profile-select';
+  profileSelect.appendChild(new Option('DEFAULT', ''));
+  Object.entries(PROFILES).forEach(([name, profile]) => {
+    profileSelect.appendChild(new Option(profile.name.toUpperCase(), name));
+  });
+  profileLabel.append(profileName, profileSelect);
+  element.appendChild(profileLabel);
+
+  profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+
+  SECTIONS.forEach(section => {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = section.title;
+    fieldset.appendChild(legend);
+
+    section.fields.forEach(field => {
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.type = field.color ? 'color' : 'range';
+      if (!field.color) {
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+      }
+
+      const output = document.createElement('output');
+      label.append(name, input, output);
+      fieldset.appendChild(label);
+
+      const readInput = () => (field.color ? input.value : Number(input.value));
+      input.addEventListener('input', () => {
+        if (!field.color) output.textContent = input.value;
+        if (field.preview) preview({ [field.path]: readInput() });
+      });
+      input.addEventListener('change', () => change({ [field.path]: readInput() }));
+      inputs.set(field.path, { input, output });
+    });
+
+    element.appendChild(fieldset);
+  });
+
+  const errorEl = document.createElement('div');
+  errorEl.className = 'settings-error';
+  const resetButton = document.createElement('button');
+  resetButton.type = 'button';
+  resetButton.className = 'settings-reset';
+  resetButton.textContent = 'RESET TO DEFAULTS';
+  element.append(errorEl, resetButton);
+
+  /**
+   * Show settings on the table while a slider is dragged, without saving them
+   * @param {Object} values - New values by path
+   */
+  function preview(values) {
+    try {
+      table.updateSettings(values);
+      errorEl.textContent = '';
+    } catch (err) {
+      errorEl.textContent = err.message;
+    }
+  }
+
+  /**
+   * Apply settings to the table and save them
+   * @param {Object} values - New values by path
+   * @param {boolean} [forget=false] - Forget the saved values instead of saving the new ones
+   */
+  function change(values, forget = false) {
+    try {
+      table.updateSettings(values);
+      saveSettings(Object.fromEntries(Object.keys(values).map(path => [path, forget ? null : table.getSetting(path)])));
+      errorEl.textContent = '';
+    } catch (err) {
+      errorEl.textContent = err.message;
+    }
+    refresh();
+  }
+
+  /**
+   * Switch theme and save the choice; tweaks of the colors the theme sets are
+   * dropped, so the saved settings do not hide the theme after a reload
+   * @param {string} name - Theme name, "" for the default look
+   * @returns {Promise<boolean>} - Resolves once the theme shows, with false if it failed (the error is shown)
+   */
+  async function switchTheme(name) {
+    try {
+      await table.setTheme(name);
+      const forgotten = {};
+      Object.keys(getThemeDefaults()).forEach(path => {
+        forgotten[path] = null;
+      });
+      saveSettings({ ...forgotten, 'THEME.name': name || null });
+      errorEl.textContent = '';
+      return true;
+    } catch (err) {
+      errorEl.textContent = err.message;
+      return false;
+    } finally {
+      refresh();
+    }
+  }
+
+  /**
+   * Switch physics profile and save the choice; tweaks of the settings the
+   * profile sets are dropped, as for themes
+   * @param {string} name - Profile name, "" for the default physics
+   * @returns {Promise<boolean>} - Resolves once the profile applies, with false if it failed (the error is shown)
+   */
+  async function switchProfile(name) {
+    try {
+      await table.setProfile(name);
+      const forgotten = {};
+      Object.keys(getProfileValues('')).forEach(path => {
+        forgotten[path] = null;
+      });
+      saveSettings({ ...forgotten, 'PHYSICS.profile': name || null });
+      errorEl.textContent = '';
+      return true;
+    } catch (err) {
+      errorEl.textContent = err.message;
+      return false;
+    } finally {
+      refresh();
+    }
+  }
+
+  /**
+   * Show the current settings on the inputs
+   */
+  function refresh() {
+    const theme = table.getSetting('THEME.name');
+    if (![...themeSelect.options].some(option => option.value === theme)) {
+      themeSelect.appendChild(new Option(theme.toUpperCase(), theme));
+    }
+    themeSelect.value = theme;
+    profileSelect.value = table.getSetting('PHYSICS.profile');
+
+    fields.forEach(field => {
+      const { input, output } = inputs.get(field.path);
+      const value = table.getSetting(field.path);
+      input.value = formatValue(field, value);
+      output.textContent = field.color ? '' : formatValue(field, value);
+    });
+  }
+
+  /**
+   * Open or close the drawer
+   */
+  function toggle() {
+    element.hidden = !element.hidden;
+    button.classList.toggle('active', !element.hidden);
+    if (!element.hidden) refresh();
+  }
+
+  resetButton.addEventListener('click', async () => {
+    // Stop at the first failure and leave its message showing
+    if (!await switchTheme(getDefaultSetting('THEME.name')) || !await switchProfile(getDefaultSetting('PHYSICS.profile'))) return;
+
+    // The theme and profile have set their own settings already
+    const switched = new Set([...Object.keys(getThemeDefaults()), ...Object.keys(getProfileValues(''))]);
+    change(Object.fromEntries(fields.filter(field => !switched.has(field.path)).map(field => [field.path, getDefaultSetting(field.path)])), true);
+  });
+  button.addEventListener('click', toggle);
+
+  // Settings may also be changed from a script
+  const unsubscribe = table.on('settings', refresh);
+
+  refresh();
+
+  return {
+    refresh,
+
+    /**
+     * Stop listening and empty the drawer
+     */
+    dispose() {
+      unsubscribe();
+      button.removeEventListener('click', toggle);
+      element.hidden = true;
+      element.innerHTML = '';
+    }
+  };
+}
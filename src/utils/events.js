@@ -0,0 +1,64 @@
+/**
+ * Event emitter for Neon Dice 2000
+ */
+
+import { error } from './debug.js';
+
+/**
+ * Create a minimal event emitter
+ * @returns {Object} - Emitter with on, off, emit and clear methods
+ */
+export function createEmitter() {
+  const handlers = new Map();
+
+  return {
+    /**
+     * Listen for an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event's details
+     * @returns {Function} - Stops listening
+     */
+    on(event, handler) {
+      if (!handlers.has(event)) {
+        handlers.set(event, new Set());
+      }
+      handlers.get(event).add(handler);
+      return () => this.off(event, handler);
+    },
+
+    /**
+     * Stop listening for an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on
+     */
+    off(event, handler) {
+      if (handlers.has(event)) {
+        handlers.get(event).delete(handler);
+      }
+    },
+
+    /**
+     * Call every handler of an event; a failing handler does not stop the others
+     * @param {string} event - Event name
+     * @param {*} detail - Event details
+     */
+    emit(event, detail) {
+      if (!handlers.has(event)) return;
+
+      [...handlers.get(event)].forEach(handler => {
+        try {
+          handler(detail);
+        } catch (err) {
+          error(`Error in ${event} handler`, err);
+        }
+      });
+    },
+
+    /**
+     * Remove every handler
+     */
+    clear() {
+      handlers.clear();
+    }
+  };
+}
@@ -2,162 +2,213 @@
  * Resource loading utilities for Neon Dice 2000
  */
 
-import { LIBRARIES, CAMERA, LIGHTING } from '../config.js';
-import { log, error } from './debug.js';
+import * as CONFIG from '../config.js';
+import { log } from './debug.js';
 
-// DOM elements for tracking progress
-const progressFill = document.getElementById('progress-fill');
-const progressText = document.getElementById('progress-text');
+// Three.js and Rapier are loaded and initialized once per page, however many tables there are
+let librariesPromise = null;
 
 /**
- * Update the loading progress bar and text
- * @param {number} percent - Loading progress percentage (0-100)
- * @param {string} message - Loading status message
+ * Create the loading screen of a table
+ * @param {HTMLElement} element - Loading screen element (with .progress-fill and .progress-text inside)
+ * @returns {Object} - Loading screen with progress, showError and hide methods
  */
-export function trackProgress(percent, message) {
-  progressFill.style.width = `${percent}%`;
-  progressText.textContent = message;
-  log(`Loading progress: ${percent}% - ${message}`);
+export function createLoadingScreen(element) {
+  const progressFill = element.querySelector('.progress-fill');
+  const progressText = element.querySelector('.progress-text');
+
+  return {
+    /**
+     * Update the loading progress bar and text
+     * @param {number} percent - Loading progress percentage (0-100)
+     * @param {string} message - Loading status message
+     */
+    progress(percent, message) {
+      progressFill.style.width = `${percent}%`;
+      progressText.textContent = message;
+      log(`Loading progress: ${percent}% - ${message}`);
+    },
+
+    /**
+     * Show error message in the loading screen
+     * @param {string} title - Error title
+     * @param {string} details - Error details
+     * @param {string} helpText - Help text to guide the user
+     */
+    showError(title, details, helpText) {
+      // Clear existing content
+      element.innerHTML = '';
+      element.hidden = false;
+
+      // Create error message container
+      const errorEl = document.createElement('div');
+      errorEl.className = 'error-message';
+
+      // Add error title
+      const titleEl = document.createElement('div');
+      titleEl.className = 'error-title';
+      titleEl.textContent = title;
+      errorEl.appendChild(titleEl);
+
+      // Add error details
+      const detailsEl = document.createElement('div');
+      detailsEl.className = 'error-details';
+      detailsEl.textContent = details;
+      errorEl.appendChild(detailsEl);
+
+      // Add help text
+      const helpEl = document.createElement('div');
+      helpEl.className = 'error-help';
+      helpEl.textContent = helpText;
+      errorEl.appendChild(helpEl);
+
+      // Add to loading screen
+      element.appendChild(errorEl);
+    },
+
+    /**
+     * Hide the loading screen once the table is ready
+     */
+    hide() {
+      element.hidden = true;
+    }
+  };
 }
 
 /**
- * Show error message in the loading screen
- * @param {string} title - Error title
- * @param {string} details - Error details
- * @param {string} helpText - Help text to guide the user
+ * Load Three.js and Rapier physics libraries
+ * @returns {Promise<Object>} - { THREE, RAPIER }, with Rapier initialized
  */
-export function showError(title, details, helpText) {
-  const loadingEl = document.getElementById('loading');
-  
-  // Clear existing content
-  loadingEl.innerHTML = '';
-  
-  // Create error message container
-  const errorEl = document.createElement('div');
-  errorEl.className = 'error-message';
-  
-  // Add error title
-  const titleEl = document.createElement('div');
-  titleEl.className = 'error-title';
-  titleEl.textContent = title;
-  errorEl.appendChild(titleEl);
-  
-  // Add error details
-  const detailsEl = document.createElement('div');
-  detailsEl.className = 'error-details';
-  detailsEl.textContent = details;
-  errorEl.appendChild(detailsEl);
-  
-  // Add help text
-  const helpEl = document.createElement('div');
-  helpEl.className = 'error-help';
-  helpEl.textContent = helpText;
-  errorEl.appendChild(helpEl);
-  
-  // Add to loading screen
-  loadingEl.appendChild(errorEl);
+export function loadLibraries() {
+  const { LIBRARIES } = CONFIG;
+
+  if (!librariesPromise) {
+    librariesPromise = (async () => {
+      // Load Three.js
+      const THREE = await importLibrary(
+        LIBRARIES.THREE.url,
+        LIBRARIES.THREE.fallbackUrl,
+        'Three.js'
+      );
+
+      // Load Rapier physics
+      const RAPIER = await importLibrary(
+        LIBRARIES.RAPIER.url,
+        LIBRARIES.RAPIER.fallbackUrl,
+        'Rapier physics'
+      );
+
+      // Initialize Rapier
+      await RAPIER.init();
+
+      return { THREE, RAPIER };
+    })();
+
+    // A failed load can be retried by the next table
+    librariesPromise.catch(() => {
+      librariesPromise = null;
+    });
+  }
+
+  return librariesPromise;
 }
 
 /**
- * Load Three.js and Rapier physics libraries
- * @returns {Promise<Object>} - Loaded libraries and initialized scene
+ * Set up the scene, camera, renderer and lights of a table
+ * @param {Object} THREE - Three.js library
+ * @param {HTMLElement} element - Element the canvas is added to; the canvas fills it
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ * @returns {Object} - { scene, camera, renderer, lights }
  */
-export async function loadDependencies() {
-  try {
-    // Start loading
-    trackProgress(5, 'Loading 3D renderer...');
-    
-    // Load Three.js
-    const THREE = await importLibrary(
-      LIBRARIES.THREE.url, 
-      LIBRARIES.THREE.fallbackUrl, 
-      'Three.js'
-    );
-    
-    trackProgress(20, 'Loading physics engine...');
-    
-    // Load Rapier physics
-    const RAPIER = await importLibrary(
-      LIBRARIES.RAPIER.url, 
-      LIBRARIES.RAPIER.fallbackUrl, 
-      'Rapier physics'
-    );
-    
-    // Initialize Rapier
-    await RAPIER.init();
-    
-    trackProgress(25, 'Setting up 3D scene...');
-    
-    // Initialize Three.js scene
-    const scene = new THREE.Scene();
-    
-    // Setup camera
-    const camera = new THREE.PerspectiveCamera(
-      CAMERA.fov, 
-      window.innerWidth / window.innerHeight, 
-      CAMERA.nearPlane, 
-      CAMERA.farPlane
-    );
-    camera.position.set(
-      CAMERA.position.x, 
-      CAMERA.position.y, 
-      CAMERA.position.z
-    );
-    camera.lookAt(
-      CAMERA.lookAt.x, 
-      CAMERA.lookAt.y, 
-      CAMERA.lookAt.z
-    );
-    
-    // Setup renderer
-    const renderer = new THREE.WebGLRenderer({ 
-      antialias: true,
-      alpha: true
-    });
-    renderer.setPixelRatio(window.devicePixelRatio);
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.shadowMap.enabled = true;
-    renderer.setClearColor(0x000000, 0);
-    document.body.appendChild(renderer.domElement);
-    
-    // Setup lighting
-    const ambientLight = new THREE.AmbientLight(
-      LIGHTING.ambient.color, 
-      LIGHTING.ambient.intensity
-    );
-    scene.add(ambientLight);
-    
-    const directionalLight = new THREE.DirectionalLight(
-      LIGHTING.directional.color, 
-      LIGHTING.directional.intensity
-    );
-    directionalLight.position.set(
-      LIGHTING.directional.position.x,
-      LIGHTING.directional.position.y,
-      LIGHTING.directional.position.z
-    );
-    directionalLight.castShadow = LIGHTING.directional.castShadow;
-    scene.add(directionalLight);
-    
-    return { THREE, RAPIER, scene, camera, renderer };
-    
-  } catch (err) {
-    error('Failed to load dependencies', err);
-    
-    let errorMessage = 'Could not load required libraries.';
-    let helpText = 'Please check your internet connection and try refreshing the page.';
-    
-    if (err.message.includes('Three.js')) {
-      errorMessage = 'Failed to load 3D rendering engine (Three.js).';
-    } else if (err.message.includes('Rapier')) {
-      errorMessage = 'Failed to load physics engine (Rapier).';
-    }
-    
-    showError('Loading Error', errorMessage, helpText);
-    throw err;
+export function createScene(THREE, element, config = CONFIG) {
+  const { CAMERA } = config;
+  const width = element.clientWidth || 1;
+  const height = element.clientHeight || 1;
+
+  // Initialize Three.js scene
+  const scene = new THREE.Scene();
+
+  // Setup camera
+  const camera = new THREE.PerspectiveCamera(
+    CAMERA.fov,
+    width / height,
+    CAMERA.nearPlane,
+    CAMERA.farPlane
+  );
+  updateCamera(camera, config);
+
+  // Setup renderer
+  const renderer = new THREE.WebGLRenderer({
+    antialias: true,
+    alpha: true
+  });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.setSize(width, height);
+  renderer.shadowMap.enabled = true;
+  renderer.setClearColor(0x000000, 0);
+  element.appendChild(renderer.domElement);
+
+  // Setup lighting
+  const lights = {
+    ambient: new THREE.AmbientLight(),
+    directional: new THREE.DirectionalLight()
+  };
+  updateLights(lights, config);
+  scene.add(lights.ambient);
+  scene.add(lights.directional);
+
+  return { scene, camera, renderer, lights };
+}
+
+/**
+ * Set up a camera from CAMERA, e.g. again after a setting changed
+ * @param {Object} camera - Three.js perspective camera
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ */
+export function updateCamera(camera, config = CONFIG) {
+  const { CAMERA } = config;
+  camera.fov = CAMERA.fov;
+  camera.near = CAMERA.nearPlane;
+  camera.far = CAMERA.farPlane;
+  camera.updateProjectionMatrix();
+
+  camera.position.set(
+    CAMERA.position.x,
+    CAMERA.position.y,
+    CAMERA.position.z
+  );
+  camera.lookAt(
+    CAMERA.lookAt.x,
+    CAMERA.lookAt.y,
+    CAMERA.lookAt.z
+  );
+
+  // Apply camera tilt if configured
+  if (CAMERA.tilt) {
+    camera.rotation.z = CAMERA.tilt;
   }
 }
 
+/**
+ * Set up the lights of a table from LIGHTING, e.g. again after a setting changed
+ * @param {Object} lights - { ambient, directional } Three.js lights from createScene
+ * @param {Object} [config] - Settings, shaped like config.js (default config.js itself)
+ */
+export function updateLights(lights, config = CONFIG) {
+  const { LIGHTING } = config;
+  lights.ambient.color.set(LIGHTING.ambient.color);
+  lights.ambient.intensity = LIGHTING.ambient.intensity;
+
+  lights.directional.color.set(LIGHTING.directional.color);
+  lights.directional.intensity = LIGHTING.directional.intensity;
+  lights.directional.position.set(
+    LIGHTING.directional.position.x,
+    LIGHTING.directional.position.y,
+    LIGHTING.directional.position.z
+  );
+  lights.directional.castShadow = LIGHTING.directional.castShadow;
+}
+
 /**
  * Import a library with fallback support
  * @param {string} url - Primary URL for the library
@@ -171,11 +222,11 @@ async function importLibrary(url, fallbackUrl, name) {
     return await import(url);
   } catch (primaryError) {
     log(`Primary ${name} load failed, trying fallback: ${fallbackUrl}`);
-    
+
     try {
       return await import(fallbackUrl);
     } catch (fallbackError) {
       throw new Error(`Failed to load ${name} from both primary and fallback sources.`);
     }
   }
-}
\ No newline at end of file
+}
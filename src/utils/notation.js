@@ -0,0 +1,323 @@
+/**
+ * Dice notation parser and roller for Neon Dice 2000
+ *
+ * Supports standard RPG notation such as "3d6+2", "4d6kh3", "2d20kl1",
+ * "d%" and "(2d8+1d6)*2". This module has no browser or renderer
+ * dependencies so it can also be used on its own (e.g. by chat bots).
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | primary
+ *   primary    := NUMBER | dice | '(' expression ')'
+ *   dice       := [NUMBER] 'd' (NUMBER | '%') [modifier]
+ *   modifier   := ('kh' | 'kl' | 'k' | 'dh' | 'dl' | 'd') NUMBER
+ *
+ * Whitespace is allowed between any two tokens ("3d6 kh 2 + 1").
+ */
+
+// Upper bounds that keep a typo from allocating millions of dice
+const MAX_DICE_PER_GROUP = 1000;
+const MAX_SIDES = 1000;
+
+/**
+ * Parse a dice notation string
+ * @param {string} text - Dice notation, e.g. "4d6kh3+2"
+ * @returns {Object} - Expression tree
+ */
+export function parseNotation(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Dice notation is empty');
+  }
+
+  const source = text.toLowerCase();
+  let pos = 0;
+
+  function skipWhitespace() {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  }
+
+  function peek() {
+    skipWhitespace();
+    return source[pos];
+  }
+
+  function fail(message) {
+    throw new Error(`${message} at position ${pos + 1} in "${text}"`);
+  }
+
+  function readNumber() {
+    skipWhitespace();
+    const start = pos;
+    while (pos < source.length && /[0-9]/.test(source[pos])) pos++;
+    if (start === pos) return null;
+    return parseInt(source.slice(start, pos), 10);
+  }
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      const op = source[pos++];
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (peek() === '*' || peek() === '/') {
+      const op = source[pos++];
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (peek() === '-') {
+      pos++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const next = peek();
+
+    if (next === '(') {
+      pos++;
+      const node = parseExpression();
+      if (peek() !== ')') fail('Expected ")"');
+      pos++;
+      return node;
+    }
+
+    const count = readNumber();
+
+    if (peek() === 'd') {
+      return parseDice(count === null ? 1 : count);
+    }
+
+    if (count === null) {
+      fail(next === undefined ? 'Unexpected end of notation' : `Unexpected "${next}"`);
+    }
+
+    return { type: 'number', value: count };
+  }
+
+  function parseDice(count) {
+    // Skip the "d"
+    pos++;
+
+    let sides;
+    if (source[pos] === '%') {
+      pos++;
+      sides = 100;
+    } else {
+      sides = readNumber();
+      if (sides === null) fail('Expected number of sides');
+    }
+
+    if (count < 1) fail('Dice count must be at least 1');
+    if (count > MAX_DICE_PER_GROUP) fail(`Dice count must be at most ${MAX_DICE_PER_GROUP}`);
+    if (sides < 2) fail('Dice must have at least 2 sides');
+    if (sides > MAX_SIDES) fail(`Dice must have at most ${MAX_SIDES} sides`);
+
+    const node = { type: 'dice', count, sides, keep: null };
+
+    // Whitespace may come before a modifier, as around operators
+    const modifier = source.slice(pos).match(/^\s*(kh|kl|k|dh|dl|d)(?=\s*[0-9])/);
+    if (modifier) {
+      pos += modifier[0].length;
+      const amount = readNumber();
+      node.keep = toKeepRule(modifier[1], amount, count);
+    }
+
+    return node;
+  }
+
+  const tree = parseExpression();
+
+  if (peek() !== undefined) {
+    fail(`Unexpected "${peek()}"`);
+  }
+
+  return tree;
+}
+
+/**
+ * Normalize a keep/drop modifier into the dice to keep
+ * @param {string} modifier - Modifier as written (kh, kl, k, dh, dl or d)
+ * @param {number} amount - Number following the modifier
+ * @param {number} count - Number of dice in the group
+ * @returns {Object} - Keep rule with the written form
+ */
+function toKeepRule(modifier, amount, count) {
+  const written = `${modifier}${amount}`;
+  const clamped = Math.min(amount, count);
+
+  switch (modifier) {
+    case 'k':
+    case 'kh':
+      return { highest: true, count: clamped, written };
+    case 'kl':
+      return { highest: false, count: clamped, written };
+    case 'dh':
+      return { highest: false, count: count - clamped, written };
+    default:
+      // "d" and "dl" drop the lowest dice
+      return { highest: true, count: count - clamped, written };
+  }
+}
+
+/**
+ * List the dice groups of an expression in evaluation order
+ * @param {Object} tree - Expression tree from parseNotation
+ * @returns {Array<Object>} - Dice nodes ({ count, sides, keep })
+ */
+export function getDiceGroups(tree) {
+  switch (tree.type) {
+    case 'dice':
+      return [tree];
+    case 'binary':
+      return [...getDiceGroups(tree.left), ...getDiceGroups(tree.right)];
+    case 'negate':
+      return getDiceGroups(tree.operand);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluate an expression with known die values
+ * @param {Object} tree - Expression tree from parseNotation
+ * @param {Array<Array<number>>} rolls - Values per dice group, in getDiceGroups order
+ * @returns {Object} - Total, per-group details and a readable breakdown
+ */
+export function evaluateNotation(tree, rolls) {
+  const groups = [];
+  let groupIndex = 0;
+
+  function visit(node) {
+    switch (node.type) {
+      case 'number':
+        return { value: node.value, text: String(node.value) };
+
+      case 'negate': {
+        const operand = visit(node.operand);
+        const text = operand.additive ? `(${operand.text})` : operand.text;
+        return { value: -operand.value, text: `-${text}` };
+      }
+
+      case 'binary': {
+        const additive = node.op === '+' || node.op === '-';
+        const left = visit(node.left);
+        const right = visit(node.right);
+
+        // Keep the grouping visible when a sum is multiplied or divided
+        const wrap = operand => (!additive && operand.additive ? `(${operand.text})` : operand.text);
+
+        return {
+          value: applyOperator(node.op, left.value, right.value),
+          text: `${wrap(left)} ${node.op} ${wrap(right)}`,
+          additive
+        };
+      }
+
+      case 'dice': {
+        const values = rolls[groupIndex++];
+        if (!values || values.length !== node.count) {
+          throw new Error(`Expected ${node.count} values for ${formatDice(node)}`);
+        }
+
+        const group = evaluateDiceGroup(node, values);
+        groups.push(group);
+
+        const shown = group.rolls.map(roll => (roll.kept ? String(roll.value) : `(${roll.value})`));
+        return { value: group.subtotal, text: `${group.notation} [${shown.join(', ')}]` };
+      }
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  const result = visit(tree);
+
+  return {
+    total: result.value,
+    groups,
+    breakdown: `${result.text} = ${result.value}`
+  };
+}
+
+/**
+ * Work out which dice of a group are kept and their subtotal
+ * @param {Object} node - Dice node
+ * @param {Array<number>} values - Rolled values
+ * @returns {Object} - Group notation, rolls and subtotal
+ */
+function evaluateDiceGroup(node, values) {
+  const rolls = values.map(value => ({ value, kept: true }));
+
+  if (node.keep) {
+    // Sort indices by value so ties are resolved by roll order
+    const order = rolls
+      .map((roll, index) => index)
+      .sort((a, b) => (node.keep.highest
+        ? rolls[b].value - rolls[a].value
+        : rolls[a].value - rolls[b].value) || a - b);
+
+    order.forEach((rollIndex, rank) => {
+      rolls[rollIndex].kept = rank < node.keep.count;
+    });
+  }
+
+  return {
+    notation: formatDice(node),
+    sides: node.sides,
+    rolls,
+    subtotal: rolls.reduce((sum, roll) => sum + (roll.kept ? roll.value : 0), 0)
+  };
+}
+
+/**
+ * Apply an arithmetic operator
+ * @param {string} op - Operator (+, -, * or /)
+ * @param {number} left - Left operand
+ * @param {number} right - Right operand
+ * @returns {number} - Result (division rounds down, as is usual for RPGs)
+ */
+function applyOperator(op, left, right) {
+  switch (op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    default:
+      if (right === 0) throw new Error('Division by zero');
+      return Math.floor(left / right);
+  }
+}
+
+/**
+ * Format a dice node back into notation
+ * @param {Object} node - Dice node
+ * @returns {string} - Notation such as "4d6kh3"
+ */
+function formatDice(node) {
+  return `${node.count}d${node.sides}${node.keep ? node.keep.written : ''}`;
+}
+
+/**
+ * Parse and roll a notation string without physics
+ * @param {string} text - Dice notation
+ * @param {Function} [random=Math.random] - Random number generator returning [0, 1)
+ * @returns {Object} - Evaluation result with the original notation
+ */
+export function rollNotation(text, random = Math.random) {
+  const tree = parseNotation(text);
+  const rolls = getDiceGroups(tree).map(group =>
+    Array.from({ length: group.count }, () => Math.floor(random() * group.sides) + 1)
+  );
+
+  return { notation: text, ...evaluateNotation(tree, rolls) };
+}
@@ -0,0 +1,274 @@
+/**
+ * Config overrides for Neon Dice 2000
+ *
+ * The defaults in config.js can be changed without editing it. Layers are
+ * merged in this order, later ones winning:
+ *
+ *   1. config.json next to index.html (or the file named by ?config=<url>)
+ *   2. localStorage["neon-dice-config"]
+ *   3. URL query parameters named after a setting, e.g. ?PHYSICS.dice.size=2
+ *
+ * The file and localStorage hold JSON shaped like config.js; keys may also be
+ * dotted paths ({ "FLOOR.gridColor": "#00ff88" }). The theme named by
+ * THEME.name (see graphics/themes.js) and the physics profile named by
+ * PHYSICS.profile (see physics/profiles.js) go underneath them all. Every value
+ * is checked against utils/schema.js, and nothing is applied unless all of them pass.
+ *
+ * The config.json and URL values also become the defaults (see
+ * setDefaultSettings in utils/settings.js), which the settings drawer's reset
+ * and switching theme or profile go back to.
+ */
+
+import { THEME, PHYSICS } from '../config.js';
+import { log } from './debug.js';
+import { loadTheme } from '../graphics/themes.js';
+import { getProfileValues } from '../physics/profiles.js';
+import { getDefault, isGroup, flattenOverrides, validateSetting, checkCombinedSettings } from './schema.js';
+import { setSetting, setDefaultSettings } from './settings.js';
+
+// localStorage key of the saved overrides
+export const STORAGE_KEY = 'neon-dice-config';
+
+// File read when the URL does not name one
+const DEFAULT_FILE = 'config.json';
+
+/**
+ * Load the overrides and apply them to the config
+ * @param {Object} [options] - Where to read from (defaults to the page's own)
+ * @param {string} [options.search] - URL query string
+ * @param {Storage} [options.storage] - Storage holding STORAGE_KEY
+ * @returns {Promise<Object>} - { debug, values, sources } where values and sources are by path
+ */
+export async function loadConfig(options = {}) {
+  const params = new URLSearchParams(options.search ?? window.location.search);
+  const problems = [];
+
+  const layers = [
+    { source: params.get('config') || DEFAULT_FILE, values: await readFile(params.get('config') || DEFAULT_FILE, problems) },
+    { source: 'saved settings', values: readStorage(options.storage ?? getStorage(), problems), saved: true },
+    { source: 'URL', values: readQuery(params, problems) }
+  ];
+
+  const values = {};
+  const sources = {};
+  // What resets go back to: everything but this browser's saved settings
+  const defaults = {};
+  layers.forEach(({ source, values: layer, saved }) => {
+    flattenOverrides(layer, message => problems.push(`${source}: ${message}`)).forEach(([path, value]) => {
+      try {
+        values[path] = validateSetting(path, value);
+        sources[path] = source;
+        if (!saved) defaults[path] = values[path];
+      } catch (err) {
+        problems.push(`${source}: ${err.message}`);
+      }
+    });
+  });
+
+  // The theme fills in the settings the layers leave alone
+  const themeName = 'THEME.name' in values ? values['THEME.name'] : THEME.name;
+  if (themeName) {
+    try {
+      const theme = await loadTheme(themeName);
+      Object.entries(theme.values).forEach(([path, value]) => {
+        if (path in values) return;
+        values[path] = value;
+        sources[path] = `theme ${themeName}`;
+      });
+    } catch (err) {
+      problems.push(...(err.problems ? err.problems.map(message => `theme ${themeName}: ${message}`) : [err.message]));
+    }
+  }
+
+  // So does the physics profile
+  const profileName = 'PHYSICS.profile' in values ? values['PHYSICS.profile'] : PHYSICS.profile;
+  if (profileName) {
+    try {
+      Object.entries(getProfileValues(profileName)).forEach(([path, value]) => {
+        if (path in values || value === getDefault(path).value) return;
+        values[path] = value;
+        sources[path] = `profile ${profileName}`;
+      });
+    } catch (err) {
+      problems.push(err.message);
+    }
+  }
+
+  // Invalid values are left out, so they are not reported twice
+  problems.push(...checkCombinedSettings(path => (path in values ? values[path] : getDefault(path).value)));
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid configuration:\n${problems.join('\n')}`);
+    err.name = 'ConfigError';
+    err.problems = problems;
+    throw err;
+  }
+
+  // DEBUG is a constant, used only when the app starts
+  const { DEBUG: debug = getDefault('DEBUG').value, ...settings } = values;
+  Object.entries(settings).forEach(([path, value]) => setSetting(path, value));
+  setDefaultSettings(defaults);
+
+  if (Object.keys(values).length > 0) {
+    log(`Config overrides: ${Object.entries(values).map(([path, value]) => `${path}=${JSON.stringify(value)} (${sources[path]})`).join(', ')}`);
+  }
+
+  return { debug, values, sources };
+}
+
+/**
+ * Save settings in this browser; they are read as the localStorage layer on the next start
+ * @param {Object} values - Values by path; null forgets the saved value
+ * @param {Storage} [storage] - Storage holding STORAGE_KEY (default localStorage)
+ */
+export function saveSettings(values, storage = getStorage()) {
+  if (!storage) return;
+
+  // Saved settings are kept as dotted paths, whatever shape they were written in
+  const saved = Object.fromEntries(flattenOverrides(readStorage(storage, []), () => {}));
+
+  Object.entries(values).forEach(([path, value]) => {
+    if (value === null) {
+      delete saved[path];
+    } else {
+      saved[path] = value;
+    }
+  });
+
+  try {
+    if (Object.keys(saved).length > 0) {
+      storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } else {
+      storage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    log(`Could not save settings: ${err.message}`);
+  }
+}
+
+/**
+ * Get localStorage, which is missing or throws in some private modes
+ * @returns {Storage|null} - localStorage, or null when unavailable
+ */
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Fetch the JSON file layer; a missing file means no overrides
+ * @param {string} url - File URL
+ * @param {Array<string>} problems - Collects readable errors
+ * @returns {Promise<Object>} - Overrides from the file
+ */
+async function readFile(url, problems) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    log(`No config file read from ${url}: ${err.message}`);
+    return {};
+  }
+
+  if (response.status === 404) return {};
+  if (!response.ok) {
+    problems.push(`${url}: could not be read (HTTP ${response.status})`);
+    return {};
+  }
+
+  return parseLayer(await response.text(), url, problems);
+}
+
+/**
+ * Read the localStorage layer
+ * @param {Storage|null} storage - Storage holding STORAGE_KEY
+ * @param {Array<string>} problems - Collects readable errors
+ * @returns {Object} - Saved overrides
+ */
+function readStorage(storage, problems) {
+  let text = null;
+  try {
+    text = storage ? storage.getItem(STORAGE_KEY) : null;
+  } catch (err) {
+    log(`Saved settings unavailable: ${err.message}`);
+  }
+  return text ? parseLayer(text, 'saved settings', problems) : {};
+}
+
+/**
+ * Parse a JSON layer
+ * @param {string} text - JSON text
+ * @param {string} source - Name used in error messages
+ * @param {Array<string>} problems - Collects readable errors
+ * @returns {Object} - Overrides, or an empty object when the text is unusable
+ */
+function parseLayer(text, source, problems) {
+  let layer;
+  try {
+    layer = JSON.parse(text);
+  } catch (err) {
+    problems.push(`${source}: not valid JSON (${err.message})`);
+    return {};
+  }
+
+  if (!isGroup(layer)) {
+    problems.push(`${source}: must hold a JSON object of settings`);
+    return {};
+  }
+  return layer;
+}
+
+/**
+ * Read the URL layer; only parameters starting with an upper-case letter name
+ * settings, the others (room, player, config...) belong to the page
+ * @param {URLSearchParams} params - URL query parameters
+ * @param {Array<string>} problems - Collects readable errors
+ * @returns {Object} - Overrides by path
+ */
+function readQuery(params, problems) {
+  const layer = {};
+
+  params.forEach((text, path) => {
+    if (!/^[A-Z]/.test(path)) return;
+
+    const { found, value: fallback } = getDefault(path);
+    if (!found) {
+      layer[path] = text;
+      return;
+    }
+
+    try {
+      layer[path] = parseQueryValue(text, fallback);
+    } catch (err) {
+      problems.push(`URL: ${path} must be JSON, got ${JSON.stringify(text)}`);
+    }
+  });
+
+  return layer;
+}
+
+/**
+ * Turn a query parameter into a value of the same kind as the default
+ * @param {string} text - Parameter value
+ * @param {*} fallback - Default value of the setting
+ * @returns {*} - Parsed value; left as text when it cannot be, so the schema reports it
+ */
+function parseQueryValue(text, fallback) {
+  if (isGroup(fallback) || text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  if (Array.isArray(fallback)) {
+    return text === '' ? [] : text.split(',').map(item => parseQueryValue(item.trim(), fallback[0] ?? ''));
+  }
+  if (typeof fallback === 'number' && text.trim() !== '' && !text.startsWith('#')) {
+    const number = Number(text);
+    return Number.isNaN(number) ? text : number;
+  }
+  if (typeof fallback === 'boolean' && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return text;
+}
@@ -0,0 +1,107 @@
+/**
+ * Physical dice pool planning for Neon Dice 2000
+ *
+ * Turns the dice groups of a parsed notation into the physical dice that
+ * have to be thrown, and maps the values they land on back to the groups.
+ */
+
+import { getDiceGroups } from './notation.js';
+
+// Physical dice used for each supported number of sides.
+// A d100 is rolled as a percentile die (00-90) plus a d10 for the units.
+const PHYSICAL_DICE = {
+  4: ['d4'],
+  6: ['d6'],
+  8: ['d8'],
+  10: ['d10'],
+  12: ['d12'],
+  20: ['d20'],
+  100: ['d100', 'd10']
+};
+
+/**
+ * Work out the physical dice needed to roll an expression
+ * @param {Object} tree - Expression tree from parseNotation
+ * @param {number} maxDice - Maximum number of physical dice allowed
+ * @returns {Object} - Dice types in throw order and the slot each value belongs to
+ */
+export function buildDicePool(tree, maxDice) {
+  const types = [];
+  const slots = [];
+
+  getDiceGroups(tree).forEach((group, groupIndex) => {
+    const physical = PHYSICAL_DICE[group.sides];
+    if (!physical) {
+      throw new Error(`d${group.sides} cannot be rolled on the table`);
+    }
+
+    for (let i = 0; i < group.count; i++) {
+      slots.push({ group: groupIndex, sides: group.sides, first: types.length, count: physical.length });
+      types.push(...physical);
+    }
+  });
+
+  if (types.length > maxDice) {
+    throw new Error(`Too many dice: ${types.length} (the table holds at most ${maxDice})`);
+  }
+
+  return { types, slots };
+}
+
+/**
+ * Combine the values of the thrown dice into per-group rolls
+ * @param {Object} pool - Pool from buildDicePool
+ * @param {Array<number>} values - Value of each physical die, in throw order
+ * @returns {Array<Array<number>>} - Values per dice group, ready for evaluateNotation
+ */
+export function collectGroupValues(pool, values) {
+  const groups = [];
+
+  pool.slots.forEach(slot => {
+    let value;
+
+    if (slot.count === 2) {
+      // Percentile: 00 + 10 reads as 100
+      const tens = values[slot.first];
+      const units = values[slot.first + 1] % 10;
+      value = tens + units === 0 ? 100 : tens + units;
+    } else {
+      value = values[slot.first];
+    }
+
+    (groups[slot.group] = groups[slot.group] || []).push(value);
+  });
+
+  return groups;
+}
+
+/**
+ * Split the requested result of every notation die into physical dice values
+ * @param {Object} pool - Pool from buildDicePool
+ * @param {Array<number>} targets - One value per notation die, in group order
+ * @returns {Array<number>} - Value each physical die has to land on, in throw order
+ */
+export function splitTargetValues(pool, targets) {
+  if (!Array.isArray(targets) || targets.length !== pool.slots.length) {
+    throw new Error(`Expected ${pool.slots.length} target values`);
+  }
+
+  const values = [];
+
+  pool.slots.forEach((slot, index) => {
+    const target = targets[index];
+    if (!Number.isInteger(target) || target < 1 || target > slot.sides) {
+      throw new Error(`Target value ${target} is not possible on a d${slot.sides}`);
+    }
+
+    if (slot.count === 2) {
+      // Percentile: tens die shows 00-90, the d10 shows 1-10 (10 counts as 0)
+      const units = target % 10;
+      values.push(target === 100 ? 0 : target - units, units === 0 ? 10 : units);
+    } else {
+      values.push(target);
+    }
+  });
+
+  return values;
+}
@@ -0,0 +1,131 @@
+/**
+ * Seeded random number generation for Neon Dice 2000
+ *
+ * Every random input of a throw comes from one of these generators so a roll
+ * can be reproduced from its seed.
+ */
+
+// Registered generator factories: (seed: number) => () => number in [0, 1)
+const algorithms = {
+  mulberry32: createMulberry32,
+  sfc32: createSfc32
+};
+
+/**
+ * Default algorithm used when a roll does not ask for a specific one
+ */
+export const DEFAULT_ALGORITHM = 'mulberry32';
+
+/**
+ * Create a seeded random number generator
+ * @param {number|string} seed - Seed; strings are hashed to a 32-bit number
+ * @param {string} [algorithm=DEFAULT_ALGORITHM] - Name of a registered algorithm
+ * @returns {Function} - Generator returning numbers in [0, 1), with seed and algorithm properties
+ */
+export function createRandom(seed, algorithm = DEFAULT_ALGORITHM) {
+  if (!hasRandomAlgorithm(algorithm)) {
+    throw new Error(`Unknown random algorithm: ${algorithm}`);
+  }
+
+  const random = algorithms[algorithm](normalizeSeed(seed));
+  random.seed = seed;
+  random.algorithm = algorithm;
+
+  return random;
+}
+
+/**
+ * Check whether an algorithm is registered
+ * @param {string} name - Algorithm name
+ * @returns {boolean} - True if createRandom accepts the name
+ */
+export function hasRandomAlgorithm(name) {
+  return Object.prototype.hasOwnProperty.call(algorithms, name);
+}
+
+/**
+ * Register an additional seeded generator
+ * @param {string} name - Algorithm name used in createRandom
+ * @param {Function} factory - Takes a 32-bit unsigned seed and returns a generator
+ */
+export function registerRandomAlgorithm(name, factory) {
+  algorithms[name] = factory;
+}
+
+/**
+ * Generate a fresh seed for a roll that did not specify one
+ * @returns {number} - 32-bit unsigned integer
+ */
+export function generateSeed() {
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Turn a number or string seed into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed as given by the caller
+ * @returns {number} - 32-bit unsigned integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 - small and fast, good enough for throwing dice
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} - Generator
+ */
+function createMulberry32(seed) {
+  let state = seed;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * SFC32 - longer period alternative
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} - Generator
+ */
+function createSfc32(seed) {
+  let a = 0x9e3779b9;
+  let b = 0x243f6a88;
+  let c = 0xb7e15162;
+  let d = seed;
+
+  const random = function random() {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+
+  // Warm up so similar seeds diverge
+  for (let i = 0; i < 12; i++) random();
+
+  return random;
+}
@@ -0,0 +1,386 @@
+/**
+ * Config schema for Neon Dice 2000
+ *
+ * Every setting must keep the type of its default in config.js; RULES add the
+ * limits a value must respect for the scene to work. Colors may be given as
+ * numbers (0xff00ff) or CSS hex strings ("#ff00ff" or "#f0f").
+ */
+
+import * as CONFIG from '../config.js';
+import { parseNotation } from './notation.js';
+import { PROFILES } from '../physics/profiles.js';
+
+const POSITIVE = { min: 0, exclusiveMin: true };
+const NOT_NEGATIVE = { min: 0 };
+const COUNT = { integer: true, min: 1 };
+const FRACTION = { min: 0, max: 1 };
+const COLOR = { color: true };
+
+// Limits by setting path; "*" stands for any single key
+const RULES = {
+  'LIBRARIES.*.*': { nonEmpty: true },
+  'CAMERA.fov': { min: 1, max: 179 },
+  'CAMERA.nearPlane': POSITIVE,
+  'CAMERA.farPlane': POSITIVE,
+  'LIGHTING.*.color': COLOR,
+  'LIGHTING.*.intensity': NOT_NEGATIVE,
+  'PHYSICS.timestep': { min: 0, exclusiveMin: true, max: 0.1 },
+  'PHYSICS.workerTimeout': POSITIVE,
+  'PHYSICS.profile': { oneOf: () => ['', ...Object.keys(PROFILES)] },
+  'PHYSICS.walls.restitution': NOT_NEGATIVE,
+  'PHYSICS.floorSize.*': POSITIVE,
+  'PHYSICS.dice.size': POSITIVE,
+  'PHYSICS.dice.restitution': NOT_NEGATIVE,
+  'PHYSICS.dice.friction': NOT_NEGATIVE,
+  'PHYSICS.dice.linearDamping': NOT_NEGATIVE,
+  'PHYSICS.dice.angularDamping': NOT_NEGATIVE,
+  'PHYSICS.dice.cockedAngle': { min: 0, max: 90 },
+  'PHYSICS.dice.restHeightTolerance': NOT_NEGATIVE,
+  'THROW.rowSpacing': NOT_NEGATIVE,
+  'THROW.perRow': COUNT,
+  'THROW.jitter': NOT_NEGATIVE,
+  'THROW.force.*': NOT_NEGATIVE,
+  'THROW.torque': NOT_NEGATIVE,
+  'GESTURE.*': NOT_NEGATIVE,
+  'GRAB.*': NOT_NEGATIVE,
+  'HOLD.emissiveIntensity': NOT_NEGATIVE,
+  'HOLD.wireframeColor': COLOR,
+  'QUALITY.tiers': {
+    minItems: 1,
+    items: {
+      name: { nonEmpty: true },
+      pixelRatio: POSITIVE,
+      shadowMapSize: { integer: true, min: 0 },
+      textureSize: COUNT,
+      pointLights: {},
+      mountains: {}
+    }
+  },
+  'QUALITY.sampleFrames': COUNT,
+  'QUALITY.slowFrameTime': POSITIVE,
+  'QUALITY.fastFrameTime': POSITIVE,
+  'QUALITY.slowRefreshes': { min: 1 },
+  'QUALITY.fastRefreshes': { min: 1 },
+  'QUALITY.retryDelay': NOT_NEGATIVE,
+  'LOOP.maxSubsteps': COUNT,
+  'LOOP.maxFrameTime': POSITIVE,
+  'SOUND.volume': FRACTION,
+  'SOUND.minForce': NOT_NEGATIVE,
+  'SOUND.maxForce': POSITIVE,
+  'SOUND.pairCooldown': NOT_NEGATIVE,
+  'SOUND.maxVoices': COUNT,
+  'SOUND.voices.*.frequency': POSITIVE,
+  'SOUND.voices.*.decay': POSITIVE,
+  'SETTLE.restTime': NOT_NEGATIVE,
+  'SETTLE.timeout': POSITIVE,
+  'SETTLE.maxRerolls': { integer: true, min: 0 },
+  'REPLAY.maxDuration': POSITIVE,
+  'REPLAY.positionDecimals': { integer: true, min: 0, max: 8 },
+  'REPLAY.rotationDecimals': { integer: true, min: 0, max: 8 },
+  'REPLAY.speeds': { minItems: 1, items: POSITIVE },
+  'MULTIPLAYER.port': { integer: true, min: 1, max: 65535 },
+  'MULTIPLAYER.historySize': { integer: true, min: 0 },
+  'MULTIPLAYER.reconnectDelay': POSITIVE,
+  'MULTIPLAYER.maxReconnectDelay': POSITIVE,
+  'MULTIPLAYER.outboxSize': COUNT,
+  'MULTIPLAYER.maxMessageSize': COUNT,
+  'EMBED.allowedOrigins': { items: { nonEmpty: true } },
+  'DICE_POOL.defaultNotation': { notation: true },
+  'DICE_POOL.maxDice': COUNT,
+  'DICE_COLORS': { minItems: 1, items: COLOR },
+  'FLOOR.size': POSITIVE,
+  'FLOOR.gridSize': COUNT,
+  'FLOOR.gridLineWidth': POSITIVE,
+  'FLOOR.gridColor': COLOR,
+  'FLOOR.gridGlow': COLOR,
+  'FLOOR.textureSize': COUNT,
+  'FLOOR.material.color': COLOR,
+  'FLOOR.material.emissive': COLOR,
+  'FLOOR.material.emissiveIntensity': NOT_NEGATIVE,
+  'FLOOR.material.roughness': FRACTION,
+  'FLOOR.material.metalness': FRACTION,
+  'FLOOR.mountains.distance': POSITIVE,
+  'FLOOR.mountains.height': POSITIVE,
+  'FLOOR.mountains.color': COLOR,
+  'FLOOR.mountains.glowColor': COLOR,
+  'FLOOR.mountains.skyColor': COLOR,
+  'THEME.path': { nonEmpty: true },
+  'THEME.choices': { items: { nonEmpty: true } }
+};
+
+/**
+ * Find the limits of a setting
+ * @param {string} path - Dotted setting path
+ * @returns {Object} - Rule (empty when only the type is checked)
+ */
+function findRule(path) {
+  if (RULES[path]) return RULES[path];
+
+  const keys = path.split('.');
+  const pattern = Object.keys(RULES).find(candidate => {
+    const parts = candidate.split('.');
+    return parts.length === keys.length && parts.every((part, index) => part === '*' || part === keys[index]);
+  });
+  return pattern ? RULES[pattern] : {};
+}
+
+/**
+ * Get the default of a setting
+ * @param {string} path - Dotted setting path
+ * @returns {Object} - { found, value }
+ */
+export function getDefault(path) {
+  let value = CONFIG;
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value) || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return { found: false, value: undefined };
+    }
+    value = value[key];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Check whether a default is a group of settings rather than a single value
+ * @param {*} value - Default value
+ * @returns {boolean} - True for plain objects
+ */
+export function isGroup(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Suggest the setting that was probably meant
+ * @param {string} path - Unknown setting path
+ * @returns {string} - " (did you mean X?)" or nothing
+ */
+export function suggestSetting(path) {
+  const keys = path.split('.');
+  const key = keys.pop();
+  const parent = keys.length ? getDefault(keys.join('.')) : { found: true, value: CONFIG };
+  if (!parent.found || !isGroup(parent.value)) return '';
+
+  let best = null;
+  let bestDistance = 3;
+  Object.keys(parent.value).forEach(candidate => {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best ? ` (did you mean ${[...keys, best].join('.')}?)` : '';
+}
+
+/**
+ * List the single values of a set of overrides by path
+ * @param {Object} layer - Overrides, nested like config.js or with dotted keys
+ * @param {Function} report - Called with a message for every unusable key
+ * @param {string} [prefix] - Path of the layer object
+ * @returns {Array<Array>} - [path, value] pairs
+ */
+export function flattenOverrides(layer, report, prefix = '') {
+  const entries = [];
+
+  Object.entries(layer).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const { found, value: fallback } = getDefault(path);
+
+    if (!found) {
+      report(`unknown setting ${path}${suggestSetting(path)}`);
+    } else if (!isGroup(fallback)) {
+      entries.push([path, value]);
+    } else if (isGroup(value)) {
+      entries.push(...flattenOverrides(value, report, path));
+    } else {
+      report(`${path} is a group of settings and must be given as an object`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Check a value for a setting and bring it into the form the app uses
+ * @param {string} path - Dotted setting path
+ * @param {*} value - Value as given
+ * @returns {*} - Value to use (colors become numbers)
+ */
+export function validateSetting(path, value) {
+  const { found, value: fallback } = getDefault(path);
+  if (!found) {
+    throw new Error(`unknown setting ${path}${suggestSetting(path)}`);
+  }
+  if (isGroup(fallback)) {
+    throw new Error(`${path} is a group of settings, not a single value`);
+  }
+  return checkValue(path, value, fallback, findRule(path));
+}
+
+/**
+ * Check a value against the type of its default and a rule
+ * @param {string} name - Name used in error messages
+ * @param {*} value - Value as given
+ * @param {*} fallback - Default value, for the type
+ * @param {Object} rule - Limits
+ * @returns {*} - Value to use
+ */
+function checkValue(name, value, fallback, rule) {
+  if (rule.color) {
+    return parseColor(name, value);
+  }
+
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) {
+      throw new Error(`${name} must be a list`);
+    }
+    if (rule.minItems && value.length < rule.minItems) {
+      throw new Error(`${name} needs at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`);
+    }
+    return value.map((item, index) => checkValue(`${name}[${index}]`, item, fallback[0] ?? item, rule.items || {}));
+  }
+
+  // List entries that are objects, e.g. quality tiers
+  if (isGroup(fallback)) {
+    if (!isGroup(value)) {
+      throw new Error(`${name} must be an object`);
+    }
+    const unknown = Object.keys(value).filter(key => !(key in fallback));
+    if (unknown.length > 0) {
+      throw new Error(`${name} has unknown keys: ${unknown.join(', ')}`);
+    }
+    const checked = {};
+    Object.keys(fallback).forEach(key => {
+      if (!(key in value)) {
+        throw new Error(`${name}.${key} is missing`);
+      }
+      checked[key] = checkValue(`${name}.${key}`, value[key], fallback[key], rule[key] || {});
+    });
+    return checked;
+  }
+
+  if (typeof value !== typeof fallback) {
+    throw new Error(`${name} must be a ${typeof fallback}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`${name} must be a finite number`);
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      throw new Error(`${name} must be a whole number, got ${value}`);
+    }
+    if (rule.min !== undefined && (value < rule.min || (rule.exclusiveMin && value === rule.min))) {
+      throw new Error(`${name} must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      throw new Error(`${name} must be at most ${rule.max}, got ${value}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (rule.nonEmpty && value.trim() === '') {
+      throw new Error(`${name} must not be empty`);
+    }
+    if (rule.oneOf && !rule.oneOf().includes(value)) {
+      throw new Error(`${name} must be one of ${rule.oneOf().map(choice => JSON.stringify(choice)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (rule.notation) {
+      try {
+        parseNotation(value);
+      } catch (err) {
+        throw new Error(`${name} is not valid dice notation: ${err.message}`);
+      }
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Read a color
+ * @param {string} name - Name used in error messages
+ * @param {number|string} value - 0xrrggbb number, or "#rrggbb" / "#rgb"
+ * @returns {number} - Color as a number
+ */
+function parseColor(name, value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+    if (match) {
+      const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+      return parseInt(hex, 16);
+    }
+  }
+
+  throw new Error(`${name} must be a color like "#ff00ff" or 0xff00ff, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Check rules that involve several settings
+ * @param {Function} read - Returns the value a setting will have, by path
+ * @returns {Array<string>} - Error messages
+ */
+export function checkCombinedSettings(read) {
+  const errors = [];
+
+  // Every { min, max } range must be the right way round
+  const visit = (path, value) => {
+    if (!isGroup(value)) return;
+    if ('min' in value && 'max' in value && typeof value.min === 'number') {
+      const min = read(`${path}.min`);
+      const max = read(`${path}.max`);
+      if (min > max) {
+        errors.push(`${path}.min (${min}) must not be larger than ${path}.max (${max})`);
+      }
+    }
+    Object.keys(value).forEach(key => visit(`${path}.${key}`, value[key]));
+  };
+  Object.keys(CONFIG).forEach(key => visit(key, CONFIG[key]));
+
+  const tiers = read('QUALITY.tiers').map(tier => tier.name);
+  if (!tiers.includes(read('QUALITY.initial'))) {
+    errors.push(`QUALITY.initial must be one of ${tiers.join(', ')}, got "${read('QUALITY.initial')}"`);
+  }
+  if (read('QUALITY.fastFrameTime') > read('QUALITY.slowFrameTime')) {
+    errors.push('QUALITY.fastFrameTime must not be larger than QUALITY.slowFrameTime');
+  }
+  if (read('QUALITY.fastRefreshes') > read('QUALITY.slowRefreshes')) {
+    errors.push('QUALITY.fastRefreshes must not be larger than QUALITY.slowRefreshes');
+  }
+  if (read('SOUND.minForce') >= read('SOUND.maxForce')) {
+    errors.push('SOUND.minForce must be smaller than SOUND.maxForce');
+  }
+  if (read('MULTIPLAYER.reconnectDelay') > read('MULTIPLAYER.maxReconnectDelay')) {
+    errors.push('MULTIPLAYER.reconnectDelay must not be larger than MULTIPLAYER.maxReconnectDelay');
+  }
+
+  return errors;
+}
+
+/**
+ * Count the edits that turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -0,0 +1,169 @@
+/**
+ * Runtime settings for Neon Dice 2000
+ *
+ * Config values are addressed by dotted paths such as "PHYSICS.dice.friction",
+ * so they can be compared, handed to the physics worker and changed while the
+ * app runs. Every roll builds a fresh physics world, so changes made between
+ * rolls apply to the next one.
+ *
+ * Each table works on its own copy of the config (see copyConfig), so
+ * changing one table leaves config.js and the other tables alone. The
+ * helpers below read and change config.js itself unless given such a copy.
+ */
+
+import * as CONFIG from '../config.js';
+
+// Config values that decide how a throw turns out
+export const SIMULATION_SETTINGS = [
+  'PHYSICS.gravity',
+  'PHYSICS.timestep',
+  'PHYSICS.floorSize',
+  'PHYSICS.walls',
+  'PHYSICS.dice',
+  'THROW',
+  'GESTURE',
+  'SETTLE',
+  'FLOOR.size',
+  'DICE_POOL.maxDice'
+];
+
+/**
+ * Copy every config section, for a table to change without touching config.js
+ * @returns {Object} - Deep copy of config.js, with the same sections
+ */
+export function copyConfig() {
+  return structuredClone({ ...CONFIG });
+}
+
+/**
+ * Find the object holding a setting
+ * @param {string} path - Dotted setting path
+ * @param {Object} config - Config holding the setting
+ * @returns {Object} - { parent, key } of the setting
+ */
+function locate(path, config) {
+  const keys = path.split('.');
+  const key = keys.pop();
+  let parent = config;
+
+  keys.forEach(name => {
+    parent = parent !== null && typeof parent === 'object' && Object.prototype.hasOwnProperty.call(parent, name) ? parent[name] : undefined;
+  });
+
+  if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw new Error(`Unknown setting: ${path}`);
+  }
+  return { parent, key };
+}
+
+/**
+ * Read a setting
+ * @param {string} path - Dotted setting path
+ * @param {Object} [config] - Config copy to read (default config.js)
+ * @returns {*} - Current value
+ */
+export function getSetting(path, config = CONFIG) {
+  const { parent, key } = locate(path, config);
+  return parent[key];
+}
+
+/**
+ * Change a setting; the new value must have the same type as the old one
+ * @param {string} path - Dotted setting path
+ * @param {*} value - New value
+ * @param {Object} [config] - Config copy to change (default config.js)
+ */
+export function setSetting(path, value, config = CONFIG) {
+  const { parent, key } = locate(path, config);
+  const current = parent[key];
+
+  if (current !== null && typeof current === 'object' && !Array.isArray(current)) {
+    throw new Error(`${path} is a group of settings, not a single value`);
+  }
+  if (Array.isArray(current) !== Array.isArray(value) || typeof current !== typeof value) {
+    throw new Error(`${path} must be ${Array.isArray(current) ? 'a list' : `a ${typeof current}`}`);
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`${path} must be a finite number`);
+  }
+
+  // Lists are changed in place, as modules keep references to them
+  if (Array.isArray(current)) {
+    current.splice(0, current.length, ...value);
+  } else {
+    parent[key] = value;
+  }
+}
+
+/**
+ * List settings as single values by path
+ * @param {Array<string>} [paths=SIMULATION_SETTINGS] - Settings or groups of settings
+ * @param {Object} [config] - Config copy to read (default config.js)
+ * @returns {Object} - Value of every single setting inside them, by path
+ */
+export function flattenSettings(paths = SIMULATION_SETTINGS, config = CONFIG) {
+  const values = {};
+
+  const visit = (path, value) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(key => visit(`${path}.${key}`, value[key]));
+    } else {
+      values[path] = value;
+    }
+  };
+
+  paths.forEach(path => visit(path, getSetting(path, config)));
+  return values;
+}
+
+/**
+ * Change several settings at once
+ * @param {Object} values - New values by path
+ * @param {Object} [config] - Config copy to change (default config.js)
+ * @returns {Object} - Previous values by path, to undo the change with applySettings
+ */
+export function applySettings(values, config = CONFIG) {
+  const previous = {};
+
+  Object.entries(values).forEach(([path, value]) => {
+    // A copy, as lists are changed in place
+    previous[path] = structuredClone(getSetting(path, config));
+    setSetting(path, value, config);
+  });
+
+  return previous;
+}
+
+// Values in config.js before anything changed them, by path
+const BUILT_IN = JSON.parse(JSON.stringify(flattenSettings(Object.keys(CONFIG))));
+
+// Values settings go back to, by path: config.js with the deployment's
+// overrides on top (see setDefaultSettings)
+let defaults = BUILT_IN;
+
+/**
+ * Set the overrides the defaults include; utils/overrides.js passes those
+ * of config.json and the URL, so going back to the defaults keeps them
+ * @param {Object} values - Values of single settings by path, over config.js
+ */
+export function setDefaultSettings(values) {
+  Object.keys(values).forEach(path => {
+    if (!Object.prototype.hasOwnProperty.call(BUILT_IN, path)) {
+      throw new Error(`Unknown setting: ${path}`);
+    }
+  });
+  defaults = { ...BUILT_IN, ...structuredClone(values) };
+}
+
+/**
+ * Read the default value of a setting: its config.js value, unless the
+ * deployment overrides it (see setDefaultSettings)
+ * @param {string} path - Dotted path of a single setting
+ * @returns {*} - Default value
+ */
+export function getDefaultSetting(path) {
+  if (!Object.prototype.hasOwnProperty.call(defaults, path)) {
+    throw new Error(`Unknown setting: ${path}`);
+  }
+  return defaults[path];
+}
@@ -0,0 +1,115 @@
+/**
+ * Statistics helpers for Neon Dice 2000
+ *
+ * Just enough to tell whether observed face counts fit a fair die.
+ */
+
+/**
+ * Chi-squared goodness-of-fit test against equally likely outcomes
+ * @param {Array<number>} counts - Observed count of each outcome
+ * @returns {Object} - { statistic, degreesOfFreedom, pValue }; pValue is the chance
+ *   of a deviation at least this large from a fair die (null without observations)
+ */
+export function chiSquaredTest(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const degreesOfFreedom = counts.length - 1;
+
+  if (total === 0 || degreesOfFreedom < 1) {
+    return { statistic: 0, degreesOfFreedom, pValue: null };
+  }
+
+  const expected = total / counts.length;
+  const statistic = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2)
+  };
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x)
+ * @param {number} a - Shape (> 0)
+ * @param {number} x - Lower integration limit (>= 0)
+ * @returns {number} - Q(a, x) in [0, 1]
+ */
+function upperIncompleteGamma(a, x) {
+  if (x <= 0) return 1;
+
+  // The series converges quickly below a + 1, the continued fraction above
+  return x < a + 1
+    ? 1 - lowerGammaSeries(a, x)
+    : upperGammaFraction(a, x);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x) by its series expansion
+ * @param {number} a - Shape
+ * @param {number} x - Upper integration limit
+ * @returns {number} - P(a, x)
+ */
+function lowerGammaSeries(a, x) {
+  let term = 1 / a;
+  let sum = term;
+
+  for (let n = 1; n < 1000; n++) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+  }
+
+  return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) by its continued
+ * fraction (modified Lentz's method)
+ * @param {number} a - Shape
+ * @param {number} x - Lower integration limit
+ * @returns {number} - Q(a, x)
+ */
+function upperGammaFraction(a, x) {
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} z - Argument (> 0)
+ * @returns {number} - ln Γ(z)
+ */
+function logGamma(z) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let y = z;
+  const tmp = z + 5.5 - (z + 0.5) * Math.log(z + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+
+  return -tmp + Math.log(2.5066282746310005 * series / z);
+}
@@ -0,0 +1,217 @@
+/**
+ * Dice fairness harness for Neon Dice 2000
+ *
+ * Throws dice thousands of times with the headless roller and the current
+ * config, then writes a JSON and an HTML report with the face frequencies,
+ * chi-squared p-values, settle times and how often dice end up cocked or off
+ * the table. Keep the reports next to config changes to compare them.
+ *
+ * Usage:
+ *   node tools/fairness.js [notation ...] [--throws 1000] [--seed fairness] [--profile felt-tray] [--out fairness-report]
+ *
+ * Without notations every die type is thrown on its own. --profile throws
+ * with a physics profile (see src/physics/profiles.js) instead of config.js. Each throw uses the
+ * seed "<seed>:<notation>:<throw>", so a report can be reproduced exactly.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { PHYSICS, THROW, SETTLE } from '../src/config.js';
+import { createHeadlessRoller } from '../src/physics/headless.js';
+import { getProfileValues } from '../src/physics/profiles.js';
+import { getDiceShape, DICE_TYPES } from '../src/physics/shapes.js';
+import { chiSquaredTest } from '../src/utils/stats.js';
+import { applySettings } from '../src/utils/settings.js';
+
+// p-values below this are flagged as suspicious in the report
+const SIGNIFICANCE = 0.01;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    throws: { type: 'string', default: '1000' },
+    seed: { type: 'string', default: 'fairness' },
+    profile: { type: 'string', default: '' },
+    out: { type: 'string', default: 'fairness-report' }
+  }
+});
+
+const throws = Number(options.throws);
+if (!Number.isInteger(throws) || throws < 1) {
+  throw new Error(`--throws must be a positive whole number, got "${options.throws}"`);
+}
+
+applySettings(getProfileValues(options.profile));
+
+const notations = positionals.length > 0 ? positionals : DICE_TYPES.map(type => `1${type}`);
+
+// Node cannot import Rapier from the CDN, so use the local copy in libs/
+const RAPIER = (await import(new URL('../libs/rapier.es.js', import.meta.url).href)).default;
+await RAPIER.init();
+
+const roller = createHeadlessRoller(RAPIER);
+const startedAt = Date.now();
+
+const results = [];
+for (const notation of notations) {
+  results.push(await runNotation(notation));
+}
+
+roller.dispose();
+
+const report = {
+  createdAt: new Date().toISOString(),
+  throws,
+  seed: options.seed,
+  profile: options.profile,
+  significance: SIGNIFICANCE,
+  runTime: Date.now() - startedAt,
+  config: { PHYSICS, THROW, SETTLE },
+  results
+};
+
+writeFileSync(`${options.out}.json`, `${JSON.stringify(report, null, 2)}\n`);
+writeFileSync(`${options.out}.html`, renderHtml(report));
+console.log(`Wrote ${options.out}.json and ${options.out}.html`);
+
+/**
+ * Throw one notation over and over and summarize the outcomes
+ * @param {string} notation - Dice notation
+ * @returns {Promise<Object>} - Summary for the report
+ */
+async function runNotation(notation) {
+  // Face counts per physical die type (a d100 also throws a d10)
+  const faces = {};
+  let dice = 0;
+  let cocked = 0;
+  let offTable = 0;
+  let timedOut = 0;
+  let totalDuration = 0;
+
+  for (let i = 0; i < throws; i++) {
+    const detail = await roller.roll(notation, { seed: `${options.seed}:${notation}:${i}` });
+
+    totalDuration += detail.duration;
+    if (detail.timedOut) timedOut++;
+
+    detail.dice.forEach(die => {
+      dice++;
+      if (die.status === 'cocked') {
+        cocked++;
+      } else if (die.status === 'off-table') {
+        offTable++;
+      } else {
+        // Only dice lying flat on the table count towards the frequencies
+        faces[die.type] ??= Object.fromEntries(getDiceShape(die.type).valueNormals.map(entry => [entry.value, 0]));
+        faces[die.type][die.value]++;
+      }
+    });
+
+    if ((i + 1) % 100 === 0) {
+      console.log(`${notation}: ${i + 1}/${throws} throws`);
+    }
+  }
+
+  return {
+    notation,
+    throws,
+    dice,
+    meanDuration: totalDuration / throws,
+    timedOutRate: timedOut / throws,
+    cockedRate: cocked / dice,
+    offTableRate: offTable / dice,
+    types: Object.entries(faces).map(([type, counts]) => ({
+      type,
+      counts,
+      ...chiSquaredTest(Object.values(counts))
+    }))
+  };
+}
+
+/**
+ * Render the report as a standalone HTML page
+ * @param {Object} data - Report data
+ * @returns {string} - HTML document
+ */
+function renderHtml(data) {
+  const percent = value => `${(value * 100).toFixed(2)}%`;
+
+  const sections = data.results.map(result => {
+    const tables = result.types.map(entry => {
+      const total = Object.values(entry.counts).reduce((sum, count) => sum + count, 0);
+      const expected = total / Object.keys(entry.counts).length;
+      const max = Math.max(...Object.values(entry.counts), 1);
+      const suspicious = entry.pValue !== null && entry.pValue < data.significance;
+
+      const rows = Object.entries(entry.counts).map(([value, count]) => `
+          <tr>
+            <td>${value}</td>
+            <td>${count}</td>
+            <td>${percent(total ? count / total : 0)}</td>
+            <td><div class="bar" style="width: ${(count / max) * 100}%"></div></td>
+            <td>${(count - expected).toFixed(1)}</td>
+          </tr>`).join('');
+
+      return `
+      <h3>${entry.type}</h3>
+      <p class="${suspicious ? 'suspicious' : ''}">
+        &chi;&sup2; = ${entry.statistic.toFixed(2)} (${entry.degreesOfFreedom} df),
+        p = ${entry.pValue === null ? 'n/a' : entry.pValue.toPrecision(3)}
+        ${suspicious ? ` &mdash; below ${data.significance}, unlikely to be fair` : ''}
+      </p>
+      <table>
+        <tr><th>Face</th><th>Count</th><th>Share</th><th></th><th>vs. expected</th></tr>${rows}
+      </table>`;
+    }).join('');
+
+    return `
+    <section>
+      <h2>${escapeHtml(result.notation)}</h2>
+      <p>
+        ${result.throws} throws, ${result.dice} dice &middot;
+        mean settle time ${Math.round(result.meanDuration)} ms &middot;
+        cocked ${percent(result.cockedRate)} &middot;
+        off the table ${percent(result.offTableRate)} &middot;
+        timed out ${percent(result.timedOutRate)}
+      </p>${tables}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Neon Dice 2000 fairness report</title>
+  <style>
+    body { background: #0a0010; color: #f0e0ff; font-family: monospace; margin: 2em; }
+    h1, h2 { color: #ff00ff; text-shadow: 0 0 6px #ff00ff; }
+    h3 { color: #00ffff; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { padding: 2px 12px; text-align: right; }
+    td:nth-child(4) { width: 300px; }
+    .bar { height: 10px; background: #00ffff; box-shadow: 0 0 4px #00ffff; }
+    .suspicious { color: #ff3030; font-weight: bold; }
+    details pre { color: #a090b0; }
+  </style>
+</head>
+<body>
+  <h1>Neon Dice 2000 fairness report</h1>
+  <p>${escapeHtml(data.createdAt)} &middot; seed "${escapeHtml(data.seed)}" &middot; ${data.profile ? `profile ${escapeHtml(data.profile)} &middot; ` : ''}${data.throws} throws per notation &middot; ${(data.runTime / 1000).toFixed(1)} s</p>
+  ${sections}
+  <details>
+    <summary>Config</summary>
+    <pre>${escapeHtml(JSON.stringify(data.config, null, 2))}</pre>
+  </details>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
@@ -0,0 +1,497 @@
+/**
+ * Shared table relay for Neon Dice 2000
+ *
+ * A small WebSocket server without dependencies that lets players at several
+ * browsers share a table, e.g. on a LAN. Players join a room; every roll a
+ * player sends is numbered, kept in the room's history and passed on to
+ * everyone in the room. Players who join late or reconnect get the rolls they
+ * missed.
+ *
+ * Usage:
+ *   node tools/relay.js [--port 8787] [--host 0.0.0.0] [--history 50] [--rooms 100]
+ *
+ * Messages are JSON text frames:
+ *   client -> relay  { type: 'join', room, player: { id, name }, relay, since }
+ *                    { type: 'roll', entry: { rollId, roll, result, recording } }
+ *   relay -> client  { type: 'welcome', room, relay, players, history }
+ *                    { type: 'roll', entry: { seq, rollId, player, time, roll, result, recording } }
+ *                    { type: 'players', players }
+ *                    { type: 'error', message }
+ *
+ * "since" is the last seq the player has seen from this relay (its "relay"
+ * id); the welcome then only carries newer rolls. A roll sent again with a
+ * known rollId (after a lost answer) is only echoed back to its sender.
+ *
+ * A room nobody is in is forgotten after ROOM_EXPIRY. With --rooms rooms
+ * open, the room left empty the longest makes way for a new one; when every
+ * room has players, joining a new room is refused.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomUUID } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import { MULTIPLAYER } from '../src/config.js';
+
+// Magic value of the WebSocket handshake (RFC 6455)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// Close codes
+const CLOSE_CODES = { normal: 1000, protocolError: 1002, unsupportedData: 1003, tooBig: 1009 };
+
+// How often (ms) connections are pinged; one that misses a pong is dropped
+const HEARTBEAT_INTERVAL = 30000;
+
+// How long (ms) a room nobody is in keeps its history
+const ROOM_EXPIRY = 60 * 60 * 1000;
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: String(MULTIPLAYER.port) },
+    host: { type: 'string', default: '0.0.0.0' },
+    history: { type: 'string', default: String(MULTIPLAYER.historySize) },
+    rooms: { type: 'string', default: '100' }
+  }
+});
+
+const port = Number(options.port);
+const historySize = Number(options.history);
+const maxRooms = Number(options.rooms);
+if (!Number.isInteger(port) || !Number.isInteger(historySize) || historySize < 0 || !Number.isInteger(maxRooms) || maxRooms < 1) {
+  throw new Error('--port, --history and --rooms must be whole numbers');
+}
+
+// Identifies this run of the relay, so clients know when sequence numbers restarted
+const relayId = randomUUID();
+
+// Rooms by name: { clients: Set, history: Array, nextSeq: number, emptySince: number|null }
+const rooms = new Map();
+
+// Every open connection
+const connections = new Set();
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('Neon Dice 2000 relay: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = { room: null, player: null };
+  const connection = createConnection(socket, {
+    onMessage: text => handleMessage(client, text),
+    onClose: () => {
+      connections.delete(connection);
+      leaveRoom(client);
+    }
+  });
+  client.connection = connection;
+  connections.add(connection);
+});
+
+setInterval(() => connections.forEach(connection => connection.heartbeat()), HEARTBEAT_INTERVAL).unref();
+
+// Forget rooms that have been empty for too long
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach((room, name) => {
+    if (room.emptySince !== null && now - room.emptySince > ROOM_EXPIRY) {
+      rooms.delete(name);
+      console.log(`Room ${name} expired`);
+    }
+  });
+}, HEARTBEAT_INTERVAL).unref();
+
+server.listen(port, options.host, () => {
+  console.log(`Relay listening on ws://${options.host}:${port} (keeping ${historySize} rolls per room, up to ${maxRooms} rooms)`);
+});
+
+/**
+ * Handle a message from a player
+ * @param {Object} client - Connection state ({ connection, room, player })
+ * @param {string} text - Message text
+ */
+function handleMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    client.connection.send({ type: 'error', message: 'Messages must be JSON' });
+    return;
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    client.connection.send({ type: 'error', message: 'Messages must be JSON objects' });
+    return;
+  }
+
+  if (message.type === 'join') {
+    joinRoom(client, message);
+  } else if (message.type === 'roll') {
+    addRoll(client, message.entry);
+  } else {
+    client.connection.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+  }
+}
+
+/**
+ * Put a player in a room and send them the history they are missing
+ * @param {Object} client - Connection state
+ * @param {Object} message - join message
+ */
+function joinRoom(client, message) {
+  const { room: name, player, since } = message;
+  if (typeof name !== 'string' || name.length === 0 || name.length > 64) {
+    client.connection.send({ type: 'error', message: 'room must be a name of 1 to 64 characters' });
+    return;
+  }
+  if (!player || typeof player.id !== 'string' || typeof player.name !== 'string') {
+    client.connection.send({ type: 'error', message: 'player needs an id and a name' });
+    return;
+  }
+
+  leaveRoom(client);
+
+  if (!rooms.has(name)) {
+    if (rooms.size >= maxRooms && !dropEmptyRoom()) {
+      client.connection.send({ type: 'error', message: 'The relay has no room for another table, try again later' });
+      return;
+    }
+    rooms.set(name, { clients: new Set(), history: [], nextSeq: 1, emptySince: null });
+  }
+  const room = rooms.get(name);
+  room.emptySince = null;
+  client.room = name;
+  client.player = { id: player.id, name: player.name.slice(0, 32) };
+  room.clients.add(client);
+
+  // Sequence numbers from an earlier run of the relay mean nothing now
+  const known = message.relay === relayId && Number.isInteger(since) ? since : 0;
+  client.connection.send({
+    type: 'welcome',
+    room: name,
+    relay: relayId,
+    players: listPlayers(room),
+    history: room.history.filter(entry => entry.seq > known)
+  });
+  broadcast(room, { type: 'players', players: listPlayers(room) }, client);
+
+  console.log(`${client.player.name} joined ${name} (${room.clients.size} players)`);
+}
+
+/**
+ * Take a player out of their room
+ * @param {Object} client - Connection state
+ */
+function leaveRoom(client) {
+  if (!client.room) return;
+
+  const room = rooms.get(client.room);
+  room.clients.delete(client);
+  broadcast(room, { type: 'players', players: listPlayers(room) });
+
+  // Rooms keep their history for players coming back for a while, unless nothing happened
+  if (room.clients.size === 0) {
+    if (room.history.length === 0) {
+      rooms.delete(client.room);
+    } else {
+      room.emptySince = Date.now();
+    }
+  }
+
+  console.log(`${client.player.name} left ${client.room}`);
+  client.room = null;
+}
+
+/**
+ * Forget the room that has been empty the longest, to make way for a new one
+ * @returns {boolean} - False if every room has players
+ */
+function dropEmptyRoom() {
+  let oldest = null;
+  rooms.forEach((room, name) => {
+    if (room.emptySince !== null && (oldest === null || room.emptySince < rooms.get(oldest).emptySince)) {
+      oldest = name;
+    }
+  });
+
+  if (oldest === null) return false;
+
+  rooms.delete(oldest);
+  console.log(`Room ${oldest} dropped to make way for a new one`);
+  return true;
+}
+
+/**
+ * Number a roll, keep it in the history and pass it on to the room
+ * @param {Object} client - Connection state
+ * @param {Object} entry - Roll sent by the player
+ */
+function addRoll(client, entry) {
+  if (!client.room) {
+    client.connection.send({ type: 'error', message: 'Join a room before rolling' });
+    return;
+  }
+  if (!entry || typeof entry.rollId !== 'string') {
+    client.connection.send({ type: 'error', message: 'A roll needs a rollId' });
+    return;
+  }
+
+  const room = rooms.get(client.room);
+
+  // Sent again after a reconnect: only the sender is missing the answer
+  const existing = room.history.find(item => item.rollId === entry.rollId);
+  if (existing) {
+    client.connection.send({ type: 'roll', entry: existing });
+    return;
+  }
+
+  const stored = {
+    seq: room.nextSeq++,
+    rollId: entry.rollId,
+    player: client.player,
+    time: Date.now(),
+    roll: entry.roll,
+    result: entry.result,
+    recording: entry.recording
+  };
+  room.history.push(stored);
+  if (room.history.length > historySize) {
+    room.history.splice(0, room.history.length - historySize);
+  }
+
+  broadcast(room, { type: 'roll', entry: stored });
+}
+
+/**
+ * Send a message to everyone in a room
+ * @param {Object} room - Room
+ * @param {Object} message - Message to send
+ * @param {Object} [except] - Client left out
+ */
+function broadcast(room, message, except) {
+  room.clients.forEach(client => {
+    if (client !== except) client.connection.send(message);
+  });
+}
+
+/**
+ * List the players in a room
+ * @param {Object} room - Room
+ * @returns {Array<Object>} - { id, name } of every player
+ */
+function listPlayers(room) {
+  return [...room.clients].map(client => client.player);
+}
+
+/**
+ * Speak the WebSocket framing protocol over an upgraded socket
+ * @param {Object} socket - Socket handed over by the upgrade event
+ * @param {Object} handlers - { onMessage(text), onClose() }
+ * @returns {Object} - Connection with send, close and heartbeat methods
+ */
+function createConnection(socket, handlers) {
+  let buffer = Buffer.alloc(0);
+
+  // Frames of a fragmented message
+  let fragments = null;
+  let alive = true;
+  let closed = false;
+
+  /**
+   * Write a frame (server frames are never masked)
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Frame payload
+   */
+  function writeFrame(opcode, payload) {
+    if (closed || socket.destroyed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    socket.write(Buffer.concat([header, payload]));
+  }
+
+  /**
+   * Send a close frame and hang up
+   * @param {number} code - Close code
+   * @param {string} [reason] - Close reason
+   */
+  function close(code, reason = '') {
+    if (closed) return;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    writeFrame(OPCODES.close, payload);
+    closed = true;
+    socket.end();
+  }
+
+  /**
+   * Cut the next complete frame off the buffer
+   * @returns {Object|null} - { fin, opcode, payload }, or null until more data arrives
+   */
+  function readFrame() {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MULTIPLAYER.maxMessageSize) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+
+    if (!masked) {
+      close(CLOSE_CODES.protocolError, 'Client frames must be masked');
+      return null;
+    }
+    if (length > MULTIPLAYER.maxMessageSize) {
+      close(CLOSE_CODES.tooBig, 'Message too big');
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+    buffer = buffer.subarray(offset + 4 + length);
+
+    return { fin, opcode, payload };
+  }
+
+  /**
+   * Act on a complete frame
+   * @param {Object} frame - Frame from readFrame
+   */
+  function handleFrame(frame) {
+    switch (frame.opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        if ((frame.opcode === OPCODES.text) === (fragments !== null)) {
+          close(CLOSE_CODES.protocolError, 'Unexpected continuation frame');
+          return;
+        }
+
+        fragments = [...(fragments || []), frame.payload];
+        const size = fragments.reduce((sum, part) => sum + part.length, 0);
+        if (size > MULTIPLAYER.maxMessageSize) {
+          close(CLOSE_CODES.tooBig, 'Message too big');
+          return;
+        }
+
+        if (frame.fin) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = null;
+
+          // A message the relay cannot handle must not take every room down
+          try {
+            handlers.onMessage(text);
+          } catch (err) {
+            console.error('Could not handle a message', err);
+          }
+        }
+        break;
+      }
+
+      case OPCODES.binary:
+        close(CLOSE_CODES.unsupportedData, 'Only text messages are supported');
+        break;
+
+      case OPCODES.close:
+        close(CLOSE_CODES.normal);
+        break;
+
+      case OPCODES.ping:
+        writeFrame(OPCODES.pong, frame.payload);
+        break;
+
+      case OPCODES.pong:
+        alive = true;
+        break;
+
+      default:
+        close(CLOSE_CODES.protocolError, `Unknown opcode ${frame.opcode}`);
+    }
+  }
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let frame;
+    while (!closed && (frame = readFrame())) {
+      handleFrame(frame);
+    }
+  });
+
+  socket.on('close', () => {
+    closed = true;
+    handlers.onClose();
+  });
+
+  // Resets and the like end up as a close event
+  socket.on('error', () => {});
+
+  return {
+    /**
+     * Send a message as a JSON text frame
+     * @param {Object} message - Message to send
+     */
+    send(message) {
+      writeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    },
+
+    close,
+
+    /**
+     * Ping the other end, dropping it if the previous ping went unanswered
+     */
+    heartbeat() {
+      if (!alive) {
+        socket.destroy();
+        return;
+      }
+      alive = false;
+      writeFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+  };
+}